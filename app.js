@@ -1,82 +1,51 @@
 // app.js
-import express from "express";
+import { createAuth, parseApiKeys } from "./src/auth.js";
+import { createApp } from "./src/app.js";
+import { configFromEnv } from "./src/config.js";
 import { Library } from "./src/library.js";
-const app = express();
-app.use(express.json());
-const library = new Library();
-
-// Add book
-app.post("/books", (req, res) => {
-  try {
-    const { isbn, title, author, publicationYear } = req.body;
-    const book = library.addBook(isbn, title, author, publicationYear);
-    return res.status(201).json(book);
-  } catch (error) {
-    return res.status(400).json({ error: error.message });
-  }
-});
-
-// Add book with category
-app.post("/books/category", (req, res) => {
-  try {
-    const { isbn, title, author, year, category } = req.body;
-    const book = library.addBookWithCategory(
-      isbn,
-      title,
-      author,
-      year,
-      category
-    );
-    res.status(201).json(book);
-  } catch (error) {
-    return res.status(400).json({ error: error.message });
-  }
-});
-
-// Borrow book
-app.post("/books/:isbn/borrow", (req, res) => {
-  try {
-    const { userId } = req.body;
-    const book = library.borrowBook(req.params.isbn, userId);
-    return res.json(book);
-  } catch (error) {
-    return res.status(400).json({ error: error.message });
-  }
-});
-
-// Return book
-app.post("/books/:isbn/return", (req, res) => {
-  try {
-    const { userId } = req.body;
-    const book = library.returnBook(req.params.isbn, userId);
-    return res.json(book);
-  } catch (error) {
-    return res.status(400).json({ error: error.message });
-  }
-});
-
-// Get available books
-app.get("/books/available", (req, res) => {
-  const books = library.getAvailableBooks();
-  return res.json(books);
-});
-
-// Search books
-app.get("/books/search", (req, res) => {
-  const { query } = req.query;
-  const books = library.searchBooks(query);
-  return res.json(books);
-});
-
-// Get analytics
-app.get("/analytics", (req, res) => {
-  const analytics = library.getPopularityAnalytics();
-  return res.json(analytics);
-});
-
-app.get("/metrics", async (req, res) => {
-  const metrics = library.getPerformanceMetrics();
-  return res.json(metrics);
-});
-
-app.listen(3030, () => console.log("Library API running on port 3030"));
+import { createMetrics } from "./src/metrics.js";
+import { RetentionScheduler } from "./src/retention.js";
+import { createStorage } from "./src/storage/index.js";
+import { WebhookDispatcher } from "./src/webhooks.js";
+const metrics = createMetrics();
+const storage = await createStorage(process.env.STORAGE, process.env.DATA_PATH);
+const archive = process.env.ARCHIVE_STORAGE
+  ? await createStorage(process.env.ARCHIVE_STORAGE, process.env.ARCHIVE_PATH)
+  : undefined;
+const library = new Library({
+  storage,
+  archive,
+  onOperation: metrics.observeOperation,
+  config: configFromEnv(),
+});
+metrics.observeLibrary(library);
+const webhooks = new WebhookDispatcher(library);
+const retention = new RetentionScheduler(library, {
+  intervalMs: library.config.retention.intervalHours * 3600000,
+}).start();
+
+if (!process.env.AUTH_SECRET) {
+  console.warn("AUTH_SECRET is not set; only API keys will be accepted");
+}
+const auth = createAuth({
+  secret: process.env.AUTH_SECRET,
+  apiKeys: parseApiKeys(process.env.API_KEYS),
+  maxTokenLifetime: Number(process.env.TOKEN_MAX_LIFETIME) || undefined,
+});
+const app = createApp(library, { auth, metrics, webhooks });
+
+const server = app.listen(3030, () =>
+  console.log("Library API running on port 3030")
+);
+
+const shutdown = () => {
+  server.close(() => {
+    webhooks.close();
+    retention.close();
+    storage.close();
+    archive?.close();
+    process.exit(0);
+  });
+};
+process.on("SIGTERM", shutdown);
+process.on("SIGINT", shutdown);
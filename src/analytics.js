@@ -0,0 +1,139 @@
+import { bucketKeys, inTimeframe } from "./timeframe.js";
+
+const emptyTotals = () => ({
+  totalBorrows: 0,
+  popularBooks: new Map(),
+  popularityTrends: {
+    daily: new Map(),
+    weekly: new Map(),
+    monthly: new Map(),
+  },
+  totalDuration: 0,
+  totalReturns: 0,
+});
+
+const increment = (counts, key) => counts.set(key, (counts.get(key) || 0) + 1);
+
+function addBorrow(totals, { time, isbn }, keysOf) {
+  const { day, week, month } = keysOf(time);
+  totals.totalBorrows++;
+  increment(totals.popularBooks, isbn);
+  increment(totals.popularityTrends.daily, day);
+  increment(totals.popularityTrends.weekly, week);
+  increment(totals.popularityTrends.monthly, month);
+}
+
+function addLoan(totals, { time, borrowedAt }) {
+  totals.totalDuration += time - borrowedAt;
+  totals.totalReturns++;
+}
+
+// Index of the first entry at or after `time` in a list sorted by time.
+function lowerBound(list, time) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (list[mid].time < time) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+const insertSorted = (list, entry) => {
+  const index = lowerBound(list, new Date(entry.time.getTime() + 1));
+  list.splice(index, 0, entry);
+};
+
+const append = (list, entry) => list.push(entry);
+
+// Borrowing totals kept up to date as history is recorded, so statistics do
+// not rescan every patron's history. Full-history totals are kept for one
+// time zone; other windows and zones are counted from time-ordered borrow and
+// loan logs. A return closes the patron's most recent open borrow.
+export class BorrowAggregates {
+  constructor(timeZone = "UTC") {
+    this.timeZone = timeZone;
+    this.keysOf = bucketKeys(timeZone);
+    this.clear();
+  }
+
+  clear() {
+    this.borrows = [];
+    this.loans = [];
+    this.openBorrows = new Map();
+    this.totals = emptyTotals();
+  }
+
+  record(userId, record) {
+    this.apply(userId, record, insertSorted);
+  }
+
+  apply(userId, { action, isbn, timestamp }, place) {
+    const time = new Date(timestamp);
+    if (action === "borrow") {
+      const borrow = { time, isbn };
+      place(this.borrows, borrow);
+      addBorrow(this.totals, borrow, this.keysOf);
+      this.openBorrows.set(userId, time);
+    } else if (action === "return" && this.openBorrows.has(userId)) {
+      const loan = { time, borrowedAt: this.openBorrows.get(userId) };
+      this.openBorrows.delete(userId);
+      place(this.loans, loan);
+      addLoan(this.totals, loan);
+    }
+  }
+
+  // Recomputes everything from `borrowHistory`, e.g. after history was
+  // imported or edited outside the library.
+  rebuild(borrowHistory, timeZone = this.timeZone) {
+    if (timeZone !== this.timeZone) {
+      this.keysOf = bucketKeys(timeZone);
+      this.timeZone = timeZone;
+    }
+    this.clear();
+    borrowHistory.forEach((records, userId) =>
+      records.forEach((record) => this.apply(userId, record, append))
+    );
+    this.borrows.sort((a, b) => a.time - b.time);
+    this.loans.sort((a, b) => a.time - b.time);
+  }
+
+  between(list, { from, to }) {
+    return list.slice(
+      from ? lowerBound(list, from) : 0,
+      to ? lowerBound(list, to) : list.length
+    );
+  }
+
+  // Totals for a resolved timeframe. Loans count when both the borrow and
+  // the return fall inside it. The full-history totals are live; callers
+  // must copy them before changing anything.
+  totalsFor(window) {
+    if (!window.from && !window.to && window.timeZone === this.timeZone) {
+      return this.totals;
+    }
+
+    const keysOf =
+      window.timeZone === this.timeZone
+        ? this.keysOf
+        : bucketKeys(window.timeZone);
+    const totals = emptyTotals();
+    this.between(this.borrows, window).forEach((borrow) =>
+      addBorrow(totals, borrow, keysOf)
+    );
+    this.between(this.loans, window)
+      .filter((loan) => inTimeframe(window, loan.borrowedAt))
+      .forEach((loan) => addLoan(totals, loan));
+    return totals;
+  }
+
+  // Borrows per book in [from, to).
+  countBorrows(window) {
+    const counts = new Map();
+    this.between(this.borrows, window).forEach(({ isbn }) =>
+      increment(counts, isbn)
+    );
+    return counts;
+  }
+}
@@ -0,0 +1,896 @@
+import express from "express";
+import { randomUUID } from "node:crypto";
+import { runWithAuditContext, toJSONLines } from "./audit.js";
+import { Role, STAFF_ROLES, actingUserId, isStaff } from "./auth.js";
+import { runBatch } from "./batch.js";
+import { AuthError, LibraryError } from "./errors.js";
+import { createMetrics } from "./metrics.js";
+import { pageLinks, paginate, parsePage } from "./pagination.js";
+import { WebhookDispatcher } from "./webhooks.js";
+
+const sendError = (res, error, status = 400) =>
+  res
+    .status(error.status || (error.code === "VERSION_CONFLICT" ? 412 : status))
+    .json({ error: error.message, code: error.code, errors: error.errors });
+
+// A book's ETag is its version, so a client can send it back in If-Match to
+// have a write rejected with 412 if the book changed in the meantime.
+const sendBook = (res, book, status = 200) =>
+  res.status(status).set("ETag", `"${book.version}"`).json(book);
+
+// The versions listed in If-Match (`"3"`, or several separated by commas), or
+// undefined when the request is unconditional. If-Match compares strongly, so
+// weak tags (`W/"3"`) and tags that are not versions match nothing.
+const expectedVersion = (req) => {
+  const header = req.get("If-Match");
+  if (header === undefined || header.trim() === "*") return undefined;
+  return header.split(",").map((tag) => {
+    const match = /^"(\d+)"$/.exec(tag.trim());
+    return match ? Number(match[1]) : NaN;
+  });
+};
+
+// Sends one page of a list, with the total count and Link header describing
+// the rest. Every list endpoint accepts `offset` and `limit`.
+const sendPage = (req, res, items) => {
+  const page = paginate(items, parsePage(req.query));
+  const url = `${req.protocol}://${req.get("host")}${req.originalUrl}`;
+  res.set("X-Total-Count", String(page.total));
+  res.set("Link", pageLinks(url, page));
+  return res.json(page.items);
+};
+
+// Catalog filters and sorting accepted by the book list endpoints.
+const listOptions = ({
+  sort,
+  order,
+  category,
+  year,
+  language,
+  subject,
+  publisher,
+  available,
+}) => ({
+  sort,
+  order,
+  category,
+  year,
+  language,
+  subject,
+  publisher,
+  available,
+});
+
+// The HTTP API over `library`, authenticating requests with `auth` (from
+// createAuth). Metrics and webhook deliveries are set up here unless passed
+// in; the caller listens on the returned app and closes what it created.
+export function createApp(
+  library,
+  { auth, metrics = createMetrics(), webhooks = new WebhookDispatcher(library) }
+) {
+  const app = express();
+  app.use(metrics.middleware);
+  app.use(express.json({ limit: "10mb" }));
+  app.use(auth.authenticate);
+  // Attributes audit events to the authenticated user and a request id, taken
+  // from X-Request-Id when the caller (or a proxy) supplies one.
+  app.use((req, res, next) => {
+    const requestId = req.get("X-Request-Id") || randomUUID();
+    res.set("X-Request-Id", requestId);
+    runWithAuditContext({ actor: req.user?.id, requestId }, next);
+  });
+
+  const signedIn = auth.requireRole(...Object.values(Role));
+  const staff = auth.requireRole(...STAFF_ROLES);
+  const admin = auth.requireRole(Role.ADMIN);
+  const selfOrStaff = auth.requireSelfOrStaff("id");
+
+  // Who the request is authenticated as
+  app.get("/auth/me", signedIn, (req, res) => {
+    return res.json(req.user);
+  });
+
+  // Issue a bearer token. Librarians may only issue patron tokens, for
+  // registered members; admins may issue any role.
+  app.post("/auth/tokens", staff, (req, res) => {
+    try {
+      const {
+        sub,
+        role = Role.PATRON,
+        expiresIn = Math.min(3600, auth.maxTokenLifetime),
+      } = req.body;
+      if (!sub || !Object.values(Role).includes(role)) {
+        throw new LibraryError(
+          "sub and a valid role are required",
+          "INVALID_TOKEN_REQUEST"
+        );
+      }
+      if (role !== Role.PATRON && req.user.role !== Role.ADMIN) {
+        throw new AuthError(
+          "Only admins can issue staff tokens",
+          "FORBIDDEN",
+          403
+        );
+      }
+      if (role === Role.PATRON) library.getMember(sub);
+      const token = auth.issueToken({ sub, role }, expiresIn);
+      return res.status(201).json({ token, tokenType: "Bearer", expiresIn });
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Add book
+  app.post("/books", staff, (req, res) => {
+    try {
+      const { isbn, title, author, publicationYear, copies, ...details } =
+        req.body;
+      const book = library.addBook(
+        isbn,
+        title,
+        author,
+        publicationYear,
+        copies,
+        details
+      );
+      return sendBook(res, book, 201);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Add book with category
+  app.post("/books/category", staff, (req, res) => {
+    try {
+      const { isbn, title, author, year, category, copies } = req.body;
+      const book = library.addBookWithCategory(
+        isbn,
+        title,
+        author,
+        year,
+        category,
+        copies
+      );
+      return sendBook(res, book, 201);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Add copy
+  app.post("/books/:isbn/copies", staff, (req, res) => {
+    try {
+      const { barcode } = req.body;
+      const copy = library.addCopy(req.params.isbn, barcode, {
+        expectedVersion: expectedVersion(req),
+      });
+      return res.status(201).json(copy);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Remove copy
+  app.delete("/copies/:barcode", staff, (req, res) => {
+    try {
+      library.removeCopy(req.params.barcode, {
+        expectedVersion: expectedVersion(req),
+      });
+      return res.status(204).end();
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Run several add/update/delete/borrow/return operations in one request.
+  // A transactional batch that fails is rolled back and answered with 400.
+  app.post("/batch", staff, (req, res) => {
+    try {
+      const { operations, transactional = false } = req.body;
+      const report = runBatch(library, operations, {
+        transactional: transactional === true,
+        userFor: (userId) => actingUserId(req.user, userId),
+        anyBorrower: isStaff(req.user),
+      });
+      return res.status(report.committed ? 200 : 400).json(report);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Borrow book
+  app.post("/books/:isbn/borrow", signedIn, (req, res) => {
+    try {
+      const { barcode } = req.body;
+      const userId = actingUserId(req.user, req.body.userId);
+      const book = library.borrowBook(req.params.isbn, userId, {
+        barcode,
+        expectedVersion: expectedVersion(req),
+      });
+      return sendBook(res, book);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Return book
+  app.post("/books/:isbn/return", signedIn, (req, res) => {
+    try {
+      const { barcode } = req.body;
+      const userId = actingUserId(req.user, req.body.userId);
+      const book = library.returnBook(req.params.isbn, userId, {
+        barcode,
+        anyBorrower: isStaff(req.user),
+        expectedVersion: expectedVersion(req),
+      });
+      return sendBook(res, book);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Report lost book
+  app.post("/books/:isbn/lost", signedIn, (req, res) => {
+    try {
+      const { barcode } = req.body;
+      const userId = actingUserId(req.user, req.body.userId);
+      const book = library.reportLost(req.params.isbn, userId, {
+        barcode,
+        expectedVersion: expectedVersion(req),
+      });
+      return sendBook(res, book);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Renew loan
+  app.post("/books/:isbn/renew", signedIn, (req, res) => {
+    try {
+      const { barcode } = req.body;
+      const userId = actingUserId(req.user, req.body.userId);
+      const loan = library.renewLoan(req.params.isbn, userId, {
+        barcode,
+        expectedVersion: expectedVersion(req),
+      });
+      return res.json(loan);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Place hold
+  app.post("/books/:isbn/holds", signedIn, (req, res) => {
+    try {
+      const userId = actingUserId(req.user, req.body.userId);
+      const hold = library.placeHold(req.params.isbn, userId, {
+        expectedVersion: expectedVersion(req),
+      });
+      return res.status(201).json(hold);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Cancel hold
+  app.delete(
+    "/books/:isbn/holds/:userId",
+    auth.requireSelfOrStaff("userId"),
+    (req, res) => {
+      try {
+        const hold = library.cancelHold(req.params.isbn, req.params.userId, {
+          expectedVersion: expectedVersion(req),
+        });
+        return res.json(hold);
+      } catch (error) {
+        return sendError(res, error);
+      }
+    }
+  );
+
+  // Get hold queue for a book
+  app.get("/books/:isbn/holds", staff, (req, res) => {
+    try {
+      return sendPage(req, res, library.getHoldQueue(req.params.isbn));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Get a user's holds
+  app.get("/users/:id/holds", selfOrStaff, (req, res) => {
+    try {
+      return sendPage(req, res, library.getUserHolds(req.params.id));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Get a user's active loans
+  app.get("/users/:id/loans", selfOrStaff, (req, res) => {
+    try {
+      return sendPage(req, res, library.getUserLoans(req.params.id));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Get overdue loans, optionally for a single user
+  app.get("/loans/overdue", staff, (req, res) => {
+    try {
+      const { userId } = req.query;
+      return sendPage(req, res, library.getOverdueLoans(userId));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Register member
+  app.post("/members", staff, (req, res) => {
+    try {
+      const { id, name, type, expiresAt } = req.body;
+      const member = library.registerMember(id, name, type, expiresAt);
+      return res.status(201).json(member);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // List members
+  app.get("/members", staff, (req, res) => {
+    try {
+      return sendPage(req, res, library.getMembers());
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Get member
+  app.get("/members/:id", selfOrStaff, (req, res) => {
+    try {
+      return res.json(library.getMember(req.params.id));
+    } catch (error) {
+      return sendError(res, error, 404);
+    }
+  });
+
+  // Update member
+  app.patch("/members/:id", staff, (req, res) => {
+    try {
+      const member = library.updateMember(req.params.id, req.body);
+      return res.json(member);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Delete member
+  app.delete("/members/:id", admin, (req, res) => {
+    try {
+      library.deleteMember(req.params.id);
+      return res.status(204).end();
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Suspend member
+  app.post("/members/:id/suspend", staff, (req, res) => {
+    try {
+      const { reason } = req.body;
+      const member = library.suspendMember(req.params.id, reason);
+      return res.json(member);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Reinstate suspended member
+  app.post("/members/:id/reinstate", staff, (req, res) => {
+    try {
+      const member = library.reinstateMember(req.params.id);
+      return res.json(member);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Renew membership
+  app.post("/members/:id/renew", staff, (req, res) => {
+    try {
+      const member = library.renewMembership(req.params.id);
+      return res.json(member);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Get member balance and ledger
+  app.get("/members/:id/balance", selfOrStaff, (req, res) => {
+    return res.json({
+      balance: library.getBalance(req.params.id),
+      ledger: library.getLedger(req.params.id),
+    });
+  });
+
+  // Record payment
+  app.post("/members/:id/payments", staff, (req, res) => {
+    try {
+      const { amount, note } = req.body;
+      const entry = library.recordPayment(req.params.id, amount, note);
+      return res.status(201).json(entry);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Waive fines
+  app.post("/members/:id/waivers", staff, (req, res) => {
+    try {
+      const { amount, reason } = req.body;
+      const entry = library.waiveFine(req.params.id, amount, reason);
+      return res.status(201).json(entry);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // List the catalog
+  app.get("/books", (req, res) => {
+    try {
+      return sendPage(req, res, library.getBooks(listOptions(req.query)));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Get available books
+  app.get("/books/available", (req, res) => {
+    try {
+      const books = library.getAvailableBooks(listOptions(req.query));
+      return sendPage(req, res, books);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Search books
+  app.get("/books/search", (req, res) => {
+    try {
+      const { query } = req.query;
+      const books = library.searchBooks(query, listOptions(req.query));
+      return sendPage(req, res, books);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Get a book
+  app.get("/books/:isbn", (req, res) => {
+    try {
+      return sendBook(res, library.getBook(req.params.isbn));
+    } catch (error) {
+      return sendError(res, error, 404);
+    }
+  });
+
+  // Update a book's details and categories
+  app.patch("/books/:isbn", staff, (req, res) => {
+    try {
+      const book = library.updateBook(req.params.isbn, req.body, {
+        expectedVersion: expectedVersion(req),
+      });
+      return sendBook(res, book);
+    } catch (error) {
+      return sendError(res, error, error.code === "BOOK_NOT_FOUND" ? 404 : 400);
+    }
+  });
+
+  // List every edition of the book's work
+  app.get("/books/:isbn/editions", (req, res) => {
+    try {
+      return sendPage(req, res, library.getEditions(req.params.isbn));
+    } catch (error) {
+      return sendError(res, error, error.code === "BOOK_NOT_FOUND" ? 404 : 400);
+    }
+  });
+
+  // Link the book named by `isbn` in the body as another edition of this work
+  app.post("/books/:isbn/editions", staff, (req, res) => {
+    try {
+      return res.json(library.linkEdition(req.body.isbn, req.params.isbn));
+    } catch (error) {
+      return sendError(res, error, error.code === "BOOK_NOT_FOUND" ? 404 : 400);
+    }
+  });
+
+  // Delete a book and its copies
+  app.delete("/books/:isbn", staff, (req, res) => {
+    try {
+      library.deleteBook(req.params.isbn, {
+        expectedVersion: expectedVersion(req),
+      });
+      return res.status(204).end();
+    } catch (error) {
+      return sendError(res, error, error.code === "BOOK_NOT_FOUND" ? 404 : 409);
+    }
+  });
+
+  // List categories with their book counts
+  app.get("/categories", (req, res) => {
+    try {
+      return sendPage(req, res, library.getCategories());
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // The category hierarchy as nested `children` lists
+  app.get("/categories/tree", (req, res) => {
+    return res.json(library.getCategoryTree());
+  });
+
+  const categoryErrorStatus = (error) =>
+    ({
+      BOOK_NOT_FOUND: 404,
+      CATEGORY_NOT_FOUND: 404,
+      CATEGORY_EXISTS: 409,
+      CATEGORY_CYCLE: 409,
+    })[error.code] || 400;
+
+  // Create a category, optionally under a `parent`
+  app.post("/categories", staff, (req, res) => {
+    try {
+      const { name, parent } = req.body;
+      const category = library.createCategory(name, { parent: parent ?? null });
+      return res.status(201).json(category);
+    } catch (error) {
+      return sendError(res, error, categoryErrorStatus(error));
+    }
+  });
+
+  app.get("/categories/:name", (req, res) => {
+    try {
+      return res.json(library.getCategory(req.params.name));
+    } catch (error) {
+      return sendError(res, error, categoryErrorStatus(error));
+    }
+  });
+
+  // Rename a category (`name`) and/or move it (`parent`, null for the top level)
+  app.patch("/categories/:name", staff, (req, res) => {
+    try {
+      let { name } = req.params;
+      if (req.body.name !== undefined) {
+        name = library.renameCategory(name, req.body.name).name;
+      }
+      if (req.body.parent !== undefined) {
+        library.moveCategory(name, req.body.parent);
+      }
+      return res.json(library.getCategory(name));
+    } catch (error) {
+      return sendError(res, error, categoryErrorStatus(error));
+    }
+  });
+
+  // Merge a category into the category named by `into`
+  app.post("/categories/:name/merge", staff, (req, res) => {
+    try {
+      return res.json(library.mergeCategories(req.params.name, req.body.into));
+    } catch (error) {
+      return sendError(res, error, categoryErrorStatus(error));
+    }
+  });
+
+  app.delete("/categories/:name", staff, (req, res) => {
+    try {
+      library.deleteCategory(req.params.name);
+      return res.status(204).end();
+    } catch (error) {
+      return sendError(res, error, categoryErrorStatus(error));
+    }
+  });
+
+  // List the books in a category (?descendants=true includes subcategories)
+  app.get("/categories/:name/books", (req, res) => {
+    try {
+      library.requireCategory(req.params.name);
+      const books = library.listBooks(
+        library.getBooksByCategory(req.params.name, {
+          includeDescendants: req.query.descendants === "true",
+        }),
+        listOptions(req.query)
+      );
+      return sendPage(req, res, books);
+    } catch (error) {
+      return sendError(res, error, categoryErrorStatus(error));
+    }
+  });
+
+  // File a book under another category
+  app.put("/books/:isbn/categories/:name", staff, (req, res) => {
+    try {
+      const categories = library.assignCategory(
+        req.params.isbn,
+        req.params.name
+      );
+      return res.json({ categories });
+    } catch (error) {
+      return sendError(res, error, categoryErrorStatus(error));
+    }
+  });
+
+  // Remove a book from a category
+  app.delete("/books/:isbn/categories/:name", staff, (req, res) => {
+    try {
+      const categories = library.unassignCategory(
+        req.params.isbn,
+        req.params.name
+      );
+      return res.json({ categories });
+    } catch (error) {
+      return sendError(res, error, categoryErrorStatus(error));
+    }
+  });
+
+  // Recommendations for a user (?available=true for books on the shelf)
+  app.get("/users/:id/recommendations", selfOrStaff, (req, res) => {
+    try {
+      const books = library.getRecommendations(req.params.id, {
+        availableOnly: req.query.available === "true",
+      });
+      return sendPage(req, res, books);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Books related to a book (?available=true for books on the shelf)
+  app.get("/books/:isbn/related", (req, res) => {
+    try {
+      const books = library.getRelatedBooks(req.params.isbn, {
+        availableOnly: req.query.available === "true",
+      });
+      return sendPage(req, res, books);
+    } catch (error) {
+      return sendError(res, error, error.code === "BOOK_NOT_FOUND" ? 404 : 400);
+    }
+  });
+
+  // Get a user's borrowing history
+  app.get("/users/:id/history", selfOrStaff, (req, res) => {
+    try {
+      return sendPage(req, res, library.getUserHistory(req.params.id));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Export library
+  app.get("/export", staff, (req, res) => {
+    res.attachment("library-export.json");
+    return res.json(library.exportData());
+  });
+
+  // Import library, replacing it or merging into the existing catalog
+  app.post("/import", admin, (req, res) => {
+    try {
+      const { mode, onConflict } = req.query;
+      const report = library.importData(req.body, { mode, onConflict });
+      return res.json(report);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Export catalog as CSV
+  app.get("/export/csv", staff, (req, res) => {
+    res.attachment("catalog.csv");
+    return res.type("text/csv").send(library.exportToCSV());
+  });
+
+  // Import catalog from CSV; `columns[<heading>]=<field>` maps extra headings
+  app.post(
+    "/import/csv",
+    admin,
+    express.text({ type: ["text/csv", "text/plain"], limit: "10mb" }),
+    (req, res) => {
+      try {
+        const { columns } = req.query;
+        const report = library.importFromCSV(req.body, { columns });
+        return res.json(report);
+      } catch (error) {
+        return sendError(res, error);
+      }
+    }
+  );
+
+  // Export catalog as MARC21 (?format=xml for MARCXML)
+  app.get("/export/marc", staff, (req, res) => {
+    const format = req.query.format === "xml" ? "xml" : "binary";
+    res.attachment(format === "xml" ? "catalog.xml" : "catalog.mrc");
+    return res
+      .type(format === "xml" ? "application/marcxml+xml" : "application/marc")
+      .send(library.exportToMARC(format));
+  });
+
+  // Import catalog from MARC21, binary or MARCXML depending on content type
+  app.post(
+    "/import/marc",
+    admin,
+    express.raw({ type: "application/marc", limit: "10mb" }),
+    express.text({
+      type: ["application/marcxml+xml", "application/xml", "text/xml"],
+      limit: "10mb",
+    }),
+    (req, res) => {
+      try {
+        const format = Buffer.isBuffer(req.body) ? "binary" : "xml";
+        const report = library.importFromMARC(req.body, format);
+        return res.json(report);
+      } catch (error) {
+        return sendError(res, error);
+      }
+    }
+  );
+
+  // Audit log filters shared by the listing and the export
+  const auditFilters = ({ entityType, entityId, actor, action, from, to }) => ({
+    entityType,
+    entityId,
+    actor,
+    action,
+    from,
+    to,
+  });
+
+  // Query the audit log
+  app.get("/audit", staff, (req, res) => {
+    try {
+      return sendPage(req, res, library.getAuditLog(auditFilters(req.query)));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Export the audit log as JSON Lines
+  app.get("/audit/export", staff, (req, res) => {
+    try {
+      const events = library.getAuditLog(auditFilters(req.query));
+      res.attachment("audit.jsonl");
+      return res.type("application/x-ndjson").send(toJSONLines(events));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Register a webhook for some event types ("*" for all). The response is
+  // the only time the signing secret is returned.
+  app.post("/webhooks", admin, (req, res) => {
+    try {
+      const { url, events, secret } = req.body;
+      return res.status(201).json(webhooks.subscribe({ url, events, secret }));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // List webhooks
+  app.get("/webhooks", admin, (req, res) => {
+    try {
+      return sendPage(req, res, webhooks.getSubscriptions());
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Delivery log, filtered by subscriptionId, status or eventType
+  app.get("/webhooks/deliveries", admin, (req, res) => {
+    try {
+      const { subscriptionId, status, eventType } = req.query;
+      const deliveries = webhooks.getDeliveries({
+        subscriptionId,
+        status,
+        eventType,
+      });
+      return sendPage(req, res, deliveries);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Deliveries that ran out of attempts
+  app.get("/webhooks/dead-letters", admin, (req, res) => {
+    try {
+      return sendPage(req, res, webhooks.getDeadLetters());
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Retry a dead letter
+  app.post("/webhooks/dead-letters/:id/redeliver", admin, (req, res) => {
+    try {
+      return res.status(202).json(webhooks.redeliver(req.params.id));
+    } catch (error) {
+      return sendError(res, error, 404);
+    }
+  });
+
+  // Remove a webhook
+  app.delete("/webhooks/:id", admin, (req, res) => {
+    try {
+      webhooks.unsubscribe(req.params.id);
+      return res.status(204).end();
+    } catch (error) {
+      return sendError(res, error, 404);
+    }
+  });
+
+  // Reads `timeframe`, `from`, `to` and `timezone` query parameters.
+  const timeframeOptions = ({ timeframe, from, to, timezone }) => ({
+    timeframe,
+    from,
+    to,
+    timeZone: timezone,
+  });
+
+  // Get analytics
+  app.get("/analytics", staff, (req, res) => {
+    try {
+      const { timeframe, ...options } = timeframeOptions(req.query);
+      return res.json(library.getPopularityAnalytics(timeframe, options));
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Recount the analytics aggregates from the borrowing history
+  app.post("/analytics/rebuild", admin, (req, res) => {
+    return res.json(library.rebuildAnalytics());
+  });
+
+  // The retention policy and how much history has been archived
+  app.get("/retention", admin, (req, res) => {
+    return res.json({
+      ...library.config.retention,
+      archivedRecords: library.archive.size,
+    });
+  });
+
+  // Archive history older than the retention window now
+  app.post("/retention/run", admin, (req, res) => {
+    try {
+      return res.json(library.applyRetention());
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Get borrowing statistics
+  app.get("/stats", staff, (req, res) => {
+    try {
+      const stats = library.getBorrowingStats(timeframeOptions(req.query));
+      // The statistics are kept in Maps, which JSON.stringify would drop.
+      const body = JSON.stringify(stats, (key, value) =>
+        value instanceof Map ? Object.fromEntries(value) : value
+      );
+      return res.type("json").send(body);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  });
+
+  // Prometheus scrape endpoint
+  app.get("/metrics", async (req, res) => {
+    res.set("Content-Type", metrics.registry.contentType);
+    return res.send(await metrics.registry.metrics());
+  });
+
+  // Operation timings as JSON
+  app.get("/metrics/json", staff, (req, res) => {
+    return res.json(library.getPerformanceMetrics());
+  });
+
+  return app;
+}
@@ -0,0 +1,81 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { LibraryError } from "./errors.js";
+
+const auditContext = new AsyncLocalStorage();
+
+// Runs `fn` with the actor and request id that audit events recorded during
+// the call are attributed to, e.g. once per HTTP request.
+export const runWithAuditContext = ({ actor = null, requestId = null }, fn) =>
+  auditContext.run({ actor, requestId }, fn);
+
+// Plain JSON copies, so later changes to a live object never reach an event.
+export const snapshot = (value) =>
+  value === undefined || value === null
+    ? null
+    : JSON.parse(JSON.stringify(value));
+
+const deepFreeze = (value) => {
+  if (value && typeof value === "object" && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+// Events are numbered in order, frozen once recorded and written through to
+// the "audit" storage collection. The log never edits or removes an event.
+export class AuditLog {
+  constructor(storage, clock) {
+    this.storage = storage;
+    this.clock = clock;
+    this.events = [];
+  }
+
+  load(entries = []) {
+    this.events = entries
+      .map(([, event]) => deepFreeze(event))
+      .sort((a, b) => a.id - b.id);
+  }
+
+  record(action, entityType, entityId, before, after) {
+    const { actor, requestId } = auditContext.getStore() || {};
+    const event = deepFreeze({
+      id: this.events.length + 1,
+      timestamp: this.clock().toISOString(),
+      actor: actor ?? null,
+      requestId: requestId ?? null,
+      action,
+      entityType,
+      entityId: entityId ?? null,
+      before: snapshot(before),
+      after: snapshot(after),
+    });
+    this.events.push(event);
+    this.storage.put("audit", String(event.id), event);
+    return event;
+  }
+
+  // `from` and `to` bound the timestamp inclusively; `entityId` and `actor`
+  // must match exactly.
+  query({ entityType, entityId, actor, action, from, to } = {}) {
+    const after = from ? new Date(from).getTime() : -Infinity;
+    const before = to ? new Date(to).getTime() : Infinity;
+    if (Number.isNaN(after) || Number.isNaN(before)) {
+      throw new LibraryError("Invalid audit time range", "INVALID_QUERY");
+    }
+    return this.events.filter((event) => {
+      const time = Date.parse(event.timestamp);
+      return (
+        (entityType === undefined || event.entityType === entityType) &&
+        (entityId === undefined || event.entityId === entityId) &&
+        (actor === undefined || event.actor === actor) &&
+        (action === undefined || event.action === action) &&
+        time >= after &&
+        time <= before
+      );
+    });
+  }
+}
+
+export const toJSONLines = (events) =>
+  events.map((event) => `${JSON.stringify(event)}\n`).join("");
@@ -0,0 +1,196 @@
+import { createHash, createHmac, timingSafeEqual } from "node:crypto";
+import { AuthError } from "./errors.js";
+
+export const Role = Object.freeze({
+  ADMIN: "admin",
+  LIBRARIAN: "librarian",
+  PATRON: "patron",
+});
+
+export const STAFF_ROLES = [Role.ADMIN, Role.LIBRARIAN];
+
+export const isStaff = (user) => STAFF_ROLES.includes(user?.role);
+
+const encodeJSON = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const sign = (data, secret) =>
+  createHmac("sha256", secret).update(data).digest("base64url");
+
+const hashKey = (key) => createHash("sha256").update(key).digest("hex");
+
+// Bearer tokens are HS256 JSON Web Tokens carrying `sub` (the user or member
+// id) and `role`, so any server holding the secret can verify them locally.
+export function signToken(claims, secret, { expiresIn = 3600, now } = {}) {
+  const issuedAt = Math.floor((now ?? Date.now()) / 1000);
+  const header = encodeJSON({ alg: "HS256", typ: "JWT" });
+  const payload = encodeJSON({
+    ...claims,
+    iat: issuedAt,
+    exp: issuedAt + expiresIn,
+  });
+  return `${header}.${payload}.${sign(`${header}.${payload}`, secret)}`;
+}
+
+export function verifyToken(token, secret, { now } = {}) {
+  const invalid = () =>
+    new AuthError("Invalid bearer token", "INVALID_TOKEN", 401);
+  const [header, payload, signature, ...rest] = String(token).split(".");
+  if (!header || !payload || !signature || rest.length > 0) throw invalid();
+
+  const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw invalid();
+  }
+
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, "base64url")).alg !== "HS256") {
+      throw invalid();
+    }
+    claims = JSON.parse(Buffer.from(payload, "base64url"));
+  } catch {
+    throw invalid();
+  }
+  if (claims.exp * 1000 <= (now ?? Date.now())) {
+    throw new AuthError("Bearer token has expired", "TOKEN_EXPIRED", 401);
+  }
+  return claims;
+}
+
+// Reads API keys in the form `id:role:key`, separated by commas, e.g.
+// `API_KEYS=alice:admin:3f9c...,desk:librarian:81ab...`. Only a hash of each
+// key is kept in memory.
+export function parseApiKeys(value = "") {
+  const keys = new Map();
+  value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [id, role, ...key] = entry.split(":");
+      if (!id || !Object.values(Role).includes(role) || key.length === 0) {
+        throw new Error(`Invalid API key entry for "${id}"`);
+      }
+      keys.set(hashKey(key.join(":")), { id, role });
+    });
+  return keys;
+}
+
+// The user a patron-facing action applies to. Staff may act for anyone named
+// in the request; patrons always act as themselves.
+export function actingUserId(user, requested) {
+  if (isStaff(user)) return requested ?? user.id;
+  if (requested !== undefined && requested !== user.id) {
+    throw new AuthError(
+      "Patrons can only act on their own account",
+      "FORBIDDEN",
+      403
+    );
+  }
+  return user.id;
+}
+
+// Tokens are issued for at most `maxTokenLifetime` seconds, as there is no way
+// to revoke one before it expires.
+export function createAuth({
+  secret,
+  apiKeys = new Map(),
+  clock,
+  maxTokenLifetime = 86400,
+} = {}) {
+  const now = () => (clock ? clock().getTime() : Date.now());
+
+  const tokensDisabled = (status) =>
+    new AuthError(
+      "Bearer tokens are not configured",
+      "TOKENS_DISABLED",
+      status
+    );
+
+  const identify = (req) => {
+    const apiKey = req.get("X-API-Key");
+    if (apiKey) {
+      const identity = apiKeys.get(hashKey(apiKey));
+      if (!identity) {
+        throw new AuthError("Invalid API key", "INVALID_API_KEY", 401);
+      }
+      return identity;
+    }
+
+    const [scheme, token] = (req.get("Authorization") || "").split(" ");
+    if (!scheme) return null;
+    if (scheme.toLowerCase() !== "bearer" || !token) {
+      throw new AuthError(
+        "Unsupported authorization scheme",
+        "INVALID_TOKEN",
+        401
+      );
+    }
+    if (!secret) throw tokensDisabled(401);
+    const claims = verifyToken(token, secret, { now: now() });
+    return { id: claims.sub, role: claims.role };
+  };
+
+  const reject = (res, error) =>
+    res.status(error.status).json({ error: error.message, code: error.code });
+
+  // Sets `req.user` from an API key or bearer token. Anonymous requests pass
+  // through with `req.user` null; bad credentials are rejected outright.
+  const authenticate = (req, res, next) => {
+    try {
+      req.user = identify(req);
+      return next();
+    } catch (error) {
+      return reject(res, error);
+    }
+  };
+
+  const authorize = (allowed) => (req, res, next) => {
+    if (!req.user) {
+      return reject(
+        res,
+        new AuthError("Authentication required", "UNAUTHENTICATED", 401)
+      );
+    }
+    if (!allowed(req)) {
+      return reject(
+        res,
+        new AuthError("Not allowed for this account", "FORBIDDEN", 403)
+      );
+    }
+    return next();
+  };
+
+  const requireRole = (...roles) =>
+    authorize((req) => roles.includes(req.user.role));
+
+  // Staff, or the user named by the `param` route parameter.
+  const requireSelfOrStaff = (param) =>
+    authorize((req) => isStaff(req.user) || req.params[param] === req.user.id);
+
+  const issueToken = (claims, expiresIn) => {
+    if (!secret) throw tokensDisabled(503);
+    if (
+      !Number.isInteger(expiresIn) ||
+      expiresIn <= 0 ||
+      expiresIn > maxTokenLifetime
+    ) {
+      throw new AuthError(
+        `expiresIn must be a whole number of seconds from 1 to ${maxTokenLifetime}`,
+        "INVALID_TOKEN_REQUEST",
+        400
+      );
+    }
+    return signToken(claims, secret, { expiresIn, now: now() });
+  };
+
+  return {
+    authenticate,
+    requireRole,
+    requireSelfOrStaff,
+    issueToken,
+    maxTokenLifetime,
+  };
+}
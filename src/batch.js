@@ -0,0 +1,141 @@
+import { snapshot } from "./audit.js";
+import { LibraryError } from "./errors.js";
+
+export const MAX_BATCH_SIZE = 1000;
+
+export const BatchItemStatus = Object.freeze({
+  OK: "ok",
+  ERROR: "error",
+  ROLLED_BACK: "rolled_back",
+  SKIPPED: "skipped",
+});
+
+// Each operation names its `op` and carries the fields of the matching
+// single-book endpoint, e.g. `{ "op": "borrow", "isbn": "...", "userId": "..." }`.
+// `expectedVersion` makes an operation conditional like If-Match does.
+// Handlers also get the batch's `context` (see runBatch).
+const OPERATIONS = {
+  add: (
+    library,
+    { isbn, title, author, publicationYear, copies = 1, ...details }
+  ) => library.addBook(isbn, title, author, publicationYear, copies, details),
+  update: (library, { isbn, op, userId, expectedVersion, ...changes }) =>
+    library.updateBook(isbn, changes, { expectedVersion }),
+  delete: (library, { isbn, expectedVersion }) =>
+    library.deleteBook(isbn, { expectedVersion }),
+  borrow: (library, { isbn, userId, barcode, expectedVersion }) =>
+    library.borrowBook(isbn, userId, { barcode, expectedVersion }),
+  return: (
+    library,
+    { isbn, userId, barcode, expectedVersion },
+    { anyBorrower }
+  ) =>
+    library.returnBook(isbn, userId, { barcode, anyBorrower, expectedVersion }),
+};
+
+const describeError = (error) => ({
+  message: error.message,
+  code: error.code ?? null,
+});
+
+// Runs `operations` in order and reports on each one. By default every
+// operation stands alone and a failure does not stop the rest. With
+// `transactional`, the first failure undoes the whole batch (see
+// Library.transaction) and the remaining operations are skipped.
+// `userFor` maps the `userId` an operation asks for to the user it runs as,
+// and `anyBorrower` lets returns check in a copy whoever borrowed it, as staff
+// may at the desk.
+export function runBatch(
+  library,
+  operations,
+  {
+    transactional = false,
+    userFor = (userId) => userId,
+    anyBorrower = false,
+  } = {}
+) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new LibraryError(
+      "operations must be a non-empty list",
+      "INVALID_BATCH"
+    );
+  }
+  if (operations.length > MAX_BATCH_SIZE) {
+    throw new LibraryError(
+      `A batch may hold at most ${MAX_BATCH_SIZE} operations`,
+      "INVALID_BATCH"
+    );
+  }
+
+  const run = (operation) => {
+    const handler = OPERATIONS[operation?.op];
+    if (!handler) {
+      throw new LibraryError(
+        `Unknown operation: ${operation?.op}`,
+        "INVALID_BATCH"
+      );
+    }
+    const result = handler(
+      library,
+      { ...operation, userId: userFor(operation.userId) },
+      { anyBorrower }
+    );
+    // Later operations may change the same book again.
+    return snapshot(result);
+  };
+  const report = (results) => ({
+    transactional,
+    committed:
+      !transactional ||
+      results.every(({ status }) => status === BatchItemStatus.OK),
+    succeeded: results.filter(({ status }) => status === BatchItemStatus.OK)
+      .length,
+    failed: results.filter(({ status }) => status === BatchItemStatus.ERROR)
+      .length,
+    results,
+  });
+  const item = (index, status, extra = {}) => ({
+    index,
+    op: operations[index]?.op ?? null,
+    status,
+    ...extra,
+  });
+
+  if (!transactional) {
+    return report(
+      operations.map((operation, index) => {
+        try {
+          return item(index, BatchItemStatus.OK, { result: run(operation) });
+        } catch (error) {
+          return item(index, BatchItemStatus.ERROR, {
+            error: describeError(error),
+          });
+        }
+      })
+    );
+  }
+
+  const results = [];
+  let failed = null;
+  try {
+    library.transaction(() =>
+      operations.forEach((operation, index) => {
+        failed = index;
+        results.push(
+          item(index, BatchItemStatus.OK, { result: run(operation) })
+        );
+      })
+    );
+    return report(results);
+  } catch (error) {
+    return report(
+      operations.map((_, index) => {
+        if (index < failed) return item(index, BatchItemStatus.ROLLED_BACK);
+        if (index > failed) return item(index, BatchItemStatus.SKIPPED);
+        return item(index, BatchItemStatus.ERROR, {
+          error: describeError(error),
+        });
+      })
+    );
+  }
+}
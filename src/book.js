@@ -1,9 +1,153 @@
+import { BookCopy, CopyStatus } from "./copy.js";
+import { LibraryError } from "./errors.js";
+import { isbn13To10 } from "./isbn.js";
+
+export const ContributorRole = Object.freeze({
+  AUTHOR: "author",
+  EDITOR: "editor",
+  TRANSLATOR: "translator",
+  ILLUSTRATOR: "illustrator",
+});
+
+// BCP 47 language tags such as "en", "fr" or "pt-BR", stored in lower case.
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+const invalid = (message) => new LibraryError(message, "INVALID_BOOK_DETAILS");
+
+const optionalText = (value, name) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== "string") throw invalid(`${name} must be text`);
+  return value.trim() || null;
+};
+
+export function normalizeLanguage(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value !== "string" || !LANGUAGE_TAG.test(value.trim())) {
+    throw invalid(`Invalid language tag: ${value}`);
+  }
+  return value.trim().toLowerCase();
+}
+
+const normalizers = {
+  contributors: (value) => {
+    if (!Array.isArray(value) || value.length === 0) {
+      throw invalid("Contributors must be a non-empty list");
+    }
+    return value.map((contributor) => {
+      const name = optionalText(contributor?.name, "Contributor name");
+      const role = contributor?.role ?? ContributorRole.AUTHOR;
+      if (!name) throw invalid("Contributor name is required");
+      if (!Object.values(ContributorRole).includes(role)) {
+        throw invalid(`Unknown contributor role: ${role}`);
+      }
+      return { name, role };
+    });
+  },
+  publisher: (value) => optionalText(value, "Publisher"),
+  edition: (value) => optionalText(value, "Edition"),
+  language: normalizeLanguage,
+  pageCount: (value) => {
+    if (value === null || value === undefined) return null;
+    if (!Number.isInteger(value) || value < 1) {
+      throw invalid("Page count must be a positive integer");
+    }
+    return value;
+  },
+  subjects: (value) => {
+    if (!Array.isArray(value)) throw invalid("Subjects must be a list");
+    const subjects = value.map((subject) => optionalText(subject, "Subject"));
+    if (subjects.includes(null)) throw invalid("Subjects cannot be empty");
+    return [...new Set(subjects)];
+  },
+  description: (value) => optionalText(value, "Description"),
+  workId: (value) => optionalText(value, "Work id"),
+};
+
+// Validates the bibliographic fields present in `details` and returns them
+// normalized; other keys are ignored, so it also reads partial updates.
+export function normalizeBookDetails(details = {}) {
+  const normalized = {};
+  Object.entries(normalizers).forEach(([field, normalize]) => {
+    if (details[field] !== undefined) {
+      normalized[field] = normalize(details[field]);
+    }
+  });
+  return normalized;
+}
+
+// The display author for a list of contributors: the authors' names, or the
+// first contributor when none is credited as author (e.g. an anthology).
+export function authorOf(contributors) {
+  const authors = contributors.filter(
+    (contributor) => contributor.role === ContributorRole.AUTHOR
+  );
+  return (authors.length > 0 ? authors : contributors.slice(0, 1))
+    .map((contributor) => contributor.name)
+    .join(", ");
+}
+
 export class Book {
-  constructor(isbn, title, author, publicationYear) {
+  constructor(isbn, title, author, publicationYear, details = {}) {
     this.isbn = isbn;
     this.title = title;
     this.author = author;
     this.publicationYear = publicationYear;
-    this.isAvailable = true;
+    this.contributors = details.contributors ?? [
+      { name: author, role: ContributorRole.AUTHOR },
+    ];
+    this.publisher = details.publisher ?? null;
+    this.edition = details.edition ?? null;
+    this.language = details.language ?? null;
+    this.pageCount = details.pageCount ?? null;
+    this.subjects = details.subjects ?? [];
+    this.description = details.description ?? null;
+    // Editions of the same work share a work id; a book starts out as a work
+    // of its own.
+    this.workId = details.workId ?? isbn;
+    // Bumped on every change to the record, copies included; clients send it
+    // back to make sure they are not overwriting someone else's change.
+    this.version = details.version ?? 1;
+    this.copies = [];
+  }
+
+  get isbn10() {
+    return isbn13To10(this.isbn);
+  }
+
+  get isAvailable() {
+    return this.copies.some((copy) => copy.isAvailable);
+  }
+
+  get availableCopies() {
+    return this.copies.filter((copy) => copy.isAvailable).length;
+  }
+
+  // Lost copies stay on record for the ledger but no longer count as stock.
+  get totalCopies() {
+    return this.copies.filter((copy) => copy.status !== CopyStatus.LOST).length;
+  }
+
+  static fromJSON(data) {
+    const book = new Book(
+      data.isbn,
+      data.title,
+      data.author,
+      data.publicationYear,
+      data
+    );
+    book.copies = (data.copies || []).map((copy) => BookCopy.fromJSON(copy));
+    return book;
+  }
+
+  // Getters are not picked up by JSON.stringify, so expose the copy counts
+  // explicitly for API responses and exports.
+  toJSON() {
+    return {
+      ...this,
+      isbn10: this.isbn10,
+      isAvailable: this.isAvailable,
+      availableCopies: this.availableCopies,
+      totalCopies: this.totalCopies,
+    };
   }
 }
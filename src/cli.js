@@ -0,0 +1,491 @@
+import { readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { runWithAuditContext, snapshot } from "./audit.js";
+import { configFromEnv } from "./config.js";
+import { LibraryError } from "./errors.js";
+import { Library } from "./library.js";
+import { MAX_PAGE_SIZE } from "./pagination.js";
+import { createStorage } from "./storage/index.js";
+
+export const USAGE = `Usage: library-cli [options] <command> [arguments]
+
+Commands:
+  add <isbn> <title> <author> <year>  Add a book (--copies <n>)
+  delete <isbn>                       Delete a book and its copies
+  search <query>                      Search the catalog
+  borrow <isbn> --user <id>           Borrow a copy on behalf of a patron
+  return <isbn> --user <id>           Return a patron's copy
+  export [--output <file>]            Export the library as JSON
+  import <file>                       Import an export (--mode, --on-conflict)
+  analytics                           Popularity analytics (--timeframe,
+                                      --from, --to, --timezone)
+  metrics                             Performance metrics
+  optimize                            Run maintenance: apply history retention
+  rebuild-analytics                   Recount analytics from the history
+
+Options:
+  --data <path>       Work offline on a data directory or SQLite file
+  --storage <type>    "file" or "sqlite"; by default taken from --data
+  --server <url>      Work against a running server
+  --api-key <key>     API key for the server
+  --token <token>     Bearer token for the server
+  --json              Print JSON instead of tables
+  -h, --help          Show this help
+
+Without --data or --server, STORAGE and DATA_PATH (as for the server) or
+LIBRARY_SERVER, LIBRARY_API_KEY and LIBRARY_TOKEN are used.
+`;
+
+const OPTIONS = {
+  data: { type: "string" },
+  storage: { type: "string" },
+  server: { type: "string" },
+  "api-key": { type: "string" },
+  token: { type: "string" },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+  user: { type: "string" },
+  copies: { type: "string" },
+  output: { type: "string", short: "o" },
+  mode: { type: "string" },
+  "on-conflict": { type: "string" },
+  timeframe: { type: "string" },
+  from: { type: "string" },
+  to: { type: "string" },
+  timezone: { type: "string" },
+};
+
+const usageError = (message) => new LibraryError(message, "USAGE");
+
+// Runs commands in-process against the library's own storage. Nothing else,
+// such as the server, may write to that storage at the same time.
+export class LocalClient {
+  constructor(library, storages) {
+    this.library = library;
+    this.storages = storages;
+  }
+
+  static async open({ data, storage }, env = process.env) {
+    const type =
+      storage ||
+      (data ? (/\.(sqlite|db)$/.test(data) ? "sqlite" : "file") : env.STORAGE);
+    if (!type || type === "memory") {
+      throw usageError("Pass --data <path> to work offline or --server <url>");
+    }
+    const main = await createStorage(type, data || env.DATA_PATH);
+    const archive = env.ARCHIVE_STORAGE
+      ? await createStorage(env.ARCHIVE_STORAGE, env.ARCHIVE_PATH)
+      : undefined;
+    const library = new Library({
+      storage: main,
+      archive,
+      config: configFromEnv(env),
+    });
+    return new LocalClient(library, [main, archive].filter(Boolean));
+  }
+
+  // Results are passed through JSON, so they print the same as the server's.
+  run(fn) {
+    return snapshot(runWithAuditContext({ actor: "cli" }, fn));
+  }
+
+  addBook({ isbn, title, author, publicationYear, copies }) {
+    return this.run(() =>
+      this.library.addBook(isbn, title, author, publicationYear, copies)
+    );
+  }
+
+  deleteBook(isbn) {
+    return this.run(() => this.library.deleteBook(isbn));
+  }
+
+  searchBooks(query) {
+    return this.run(() => this.library.searchBooks(query));
+  }
+
+  borrowBook(isbn, userId) {
+    return this.run(() => this.library.borrowBook(isbn, userId));
+  }
+
+  returnBook(isbn, userId) {
+    return this.run(() => this.library.returnBook(isbn, userId));
+  }
+
+  exportData() {
+    return this.run(() => this.library.exportData());
+  }
+
+  importData(data, options) {
+    return this.run(() => this.library.importData(data, options));
+  }
+
+  analytics({ timeframe, ...options }) {
+    return this.run(() =>
+      this.library.getPopularityAnalytics(timeframe, options)
+    );
+  }
+
+  metrics() {
+    return this.run(() => this.library.getPerformanceMetrics());
+  }
+
+  optimize() {
+    return this.run(() => this.library.optimizePerformance());
+  }
+
+  rebuildAnalytics() {
+    return this.run(() => this.library.rebuildAnalytics());
+  }
+
+  close() {
+    this.storages.forEach((storage) => storage.close());
+  }
+}
+
+// Runs the same commands through a server's HTTP API.
+export class RemoteClient {
+  constructor(server, { apiKey, token, fetch = globalThis.fetch } = {}) {
+    this.server = server;
+    this.fetch = fetch;
+    this.headers = {
+      "Content-Type": "application/json",
+      ...(apiKey && { "X-API-Key": apiKey }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+    };
+  }
+
+  async request(method, path, { query = {}, body } = {}) {
+    const url = new URL(path, this.server);
+    Object.entries(query).forEach(([name, value]) => {
+      if (value !== undefined) url.searchParams.set(name, value);
+    });
+    const response = await this.fetch(url, {
+      method,
+      headers: this.headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let payload = null;
+    try {
+      payload = text ? JSON.parse(text) : null;
+    } catch {
+      payload = null;
+    }
+    if (!response.ok) {
+      const error = new LibraryError(
+        payload?.error || `Server responded with ${response.status}`,
+        payload?.code
+      );
+      error.errors = payload?.errors;
+      throw error;
+    }
+    return payload;
+  }
+
+  addBook(book) {
+    return this.request("POST", "/books", { body: book });
+  }
+
+  async deleteBook(isbn) {
+    await this.request("DELETE", `/books/${encodeURIComponent(isbn)}`);
+    return true;
+  }
+
+  searchBooks(query) {
+    return this.request("GET", "/books/search", {
+      query: { query, limit: MAX_PAGE_SIZE },
+    });
+  }
+
+  borrowBook(isbn, userId) {
+    return this.request("POST", `/books/${encodeURIComponent(isbn)}/borrow`, {
+      body: { userId },
+    });
+  }
+
+  returnBook(isbn, userId) {
+    return this.request("POST", `/books/${encodeURIComponent(isbn)}/return`, {
+      body: { userId },
+    });
+  }
+
+  exportData() {
+    return this.request("GET", "/export");
+  }
+
+  importData(data, { mode, onConflict }) {
+    return this.request("POST", "/import", {
+      query: { mode, onConflict },
+      body: data,
+    });
+  }
+
+  analytics({ timeZone, ...options }) {
+    return this.request("GET", "/analytics", {
+      query: { ...options, timezone: timeZone },
+    });
+  }
+
+  metrics() {
+    return this.request("GET", "/metrics/json");
+  }
+
+  // optimizePerformance applies the retention policy, which the server runs
+  // on demand through its retention endpoint.
+  optimize() {
+    return this.request("POST", "/retention/run");
+  }
+
+  rebuildAnalytics() {
+    return this.request("POST", "/analytics/rebuild");
+  }
+
+  close() {}
+}
+
+export function openClient(options, env = process.env, fetch = undefined) {
+  const server = options.server || (!options.data && env.LIBRARY_SERVER);
+  if (server) {
+    return new RemoteClient(server, {
+      apiKey: options["api-key"] || env.LIBRARY_API_KEY,
+      token: options.token || env.LIBRARY_TOKEN,
+      fetch,
+    });
+  }
+  return LocalClient.open(options, env);
+}
+
+// Renders rows as aligned columns; `columns` lists [heading, value] pairs.
+export function formatTable(rows, columns) {
+  const cells = rows.map((row) =>
+    columns.map(([, value]) => String(value(row) ?? ""))
+  );
+  const widths = columns.map(([heading], index) =>
+    Math.max(heading.length, ...cells.map((row) => row[index].length))
+  );
+  const line = (values) =>
+    values
+      .map((value, index) => value.padEnd(widths[index]))
+      .join("  ")
+      .trimEnd();
+  return [
+    line(columns.map(([heading]) => heading)),
+    line(widths.map((width) => "-".repeat(width))),
+    ...cells.map(line),
+  ].join("\n");
+}
+
+const BOOK_COLUMNS = [
+  ["ISBN", (book) => book.isbn],
+  ["Title", (book) => book.title],
+  ["Author", (book) => book.author],
+  ["Year", (book) => book.publicationYear],
+  ["Available", (book) => `${book.availableCopies}/${book.totalCopies}`],
+];
+
+const showValue = (value) =>
+  value !== null && typeof value === "object" ? JSON.stringify(value) : value;
+
+const views = {
+  books: (books) =>
+    books.length === 0 ? "No books found" : formatTable(books, BOOK_COLUMNS),
+  book: (book) => formatTable([book], BOOK_COLUMNS),
+  record: (record) =>
+    formatTable(Object.entries(record ?? {}), [
+      ["Field", ([field]) => field],
+      ["Value", ([, value]) => showValue(value)],
+    ]),
+  analytics: ({ timeframe, comparison, topBooks, trendingGenres }) =>
+    [
+      `Borrowing from ${timeframe.from ?? "the beginning"} to ${
+        timeframe.to ?? "now"
+      } (${timeframe.timeZone})`,
+      formatTable(topBooks, [
+        ["ISBN", (entry) => entry.isbn],
+        ["Title", (entry) => entry.book.title],
+        ["Borrows", (entry) => entry.borrowCount],
+        ...(comparison
+          ? [["Previous", (entry) => entry.previousBorrowCount]]
+          : []),
+        [
+          "Available",
+          (entry) => `${entry.availableCopies}/${entry.totalCopies}`,
+        ],
+      ]),
+      formatTable(trendingGenres, [
+        ["Category", ([category]) => category],
+        ["Borrows", ([, count]) => count],
+      ]),
+      ...(comparison ? [views.record(comparison)] : []),
+    ].join("\n\n"),
+  metrics: ({ averageOperationTimes, ...totals }) =>
+    [
+      views.record(totals),
+      formatTable(Object.entries(averageOperationTimes), [
+        ["Operation", ([operation]) => operation],
+        ["Avg ms", ([, times]) => times.avgDuration.toFixed(2)],
+        ["Avg MB", ([, times]) => times.avgMemoryDelta.toFixed(3)],
+      ]),
+    ].join("\n\n"),
+  // An export without --output is printed as JSON, tables or not.
+  export: (result) =>
+    result.schemaVersion === undefined
+      ? views.record(result)
+      : JSON.stringify(result, null, 2),
+};
+
+const requireUser = ({ user }) => {
+  if (!user) throw usageError("--user <id> is required");
+  return user;
+};
+
+// Each command takes a number of positional arguments, runs against a client
+// and names the view its result is printed with.
+const COMMANDS = {
+  add: {
+    arguments: 4,
+    run: (client, [isbn, title, author, year], { copies = "1" }) => {
+      if (!/^[1-9]\d*$/.test(copies)) {
+        throw usageError("--copies must be a positive whole number");
+      }
+      return client.addBook({
+        isbn,
+        title,
+        author,
+        publicationYear: Number(year),
+        copies: Number(copies),
+      });
+    },
+    view: "book",
+  },
+  delete: {
+    arguments: 1,
+    run: async (client, [isbn]) => ({
+      isbn,
+      deleted: await client.deleteBook(isbn),
+    }),
+    view: "record",
+  },
+  search: {
+    arguments: 1,
+    run: (client, words) => client.searchBooks(words.join(" ")),
+    view: "books",
+  },
+  borrow: {
+    arguments: 1,
+    run: (client, [isbn], options) =>
+      client.borrowBook(isbn, requireUser(options)),
+    view: "book",
+  },
+  return: {
+    arguments: 1,
+    run: (client, [isbn], options) =>
+      client.returnBook(isbn, requireUser(options)),
+    view: "book",
+  },
+  export: {
+    arguments: 0,
+    run: async (client, args, { output }) => {
+      const data = await client.exportData();
+      if (!output) return data;
+      writeFileSync(output, JSON.stringify(data, null, 2));
+      return { output, books: data.books.length };
+    },
+    view: "export",
+  },
+  import: {
+    arguments: 1,
+    run: (client, [file], options) =>
+      client.importData(JSON.parse(readFileSync(file, "utf8")), {
+        mode: options.mode,
+        onConflict: options["on-conflict"],
+      }),
+    view: "record",
+  },
+  analytics: {
+    arguments: 0,
+    run: (client, args, { timeframe, from, to, timezone }) =>
+      client.analytics({ timeframe, from, to, timeZone: timezone }),
+    view: "analytics",
+  },
+  metrics: {
+    arguments: 0,
+    run: (client) => client.metrics(),
+    view: "metrics",
+  },
+  optimize: {
+    arguments: 0,
+    run: (client) => client.optimize(),
+    view: "record",
+  },
+  "rebuild-analytics": {
+    arguments: 0,
+    run: (client) => client.rebuildAnalytics(),
+    view: "record",
+  },
+};
+
+// Runs one command and resolves to the process exit code: 0 on success, 1
+// when the command failed and 2 for invalid usage.
+export async function main(
+  argv,
+  {
+    stdout = process.stdout,
+    stderr = process.stderr,
+    env = process.env,
+    fetch,
+  } = {}
+) {
+  const usage = (message) => {
+    stderr.write(message ? `${message}\n\n${USAGE}` : USAGE);
+    return 2;
+  };
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+  } catch (error) {
+    return usage(error.message);
+  }
+  const {
+    values: options,
+    positionals: [name, ...args],
+  } = parsed;
+  if (options.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+  if (name === undefined) return usage();
+  const command = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : null;
+  if (!command) return usage(`Unknown command: ${name}`);
+  if (args.length < command.arguments) {
+    return usage(`Missing arguments for ${name}`);
+  }
+
+  let client;
+  try {
+    client = await openClient(options, env, fetch);
+    const result = await command.run(client, args, options);
+    stdout.write(
+      `${
+        options.json
+          ? JSON.stringify(result, null, 2)
+          : views[command.view](result)
+      }\n`
+    );
+    return 0;
+  } catch (error) {
+    stderr.write(
+      `Error: ${error.message}${error.code ? ` (${error.code})` : ""}\n`
+    );
+    (error.errors || []).forEach(({ path, message }) =>
+      stderr.write(`  ${path}: ${message}\n`)
+    );
+    return error.code === "USAGE" ? 2 : 1;
+  } finally {
+    await client?.close();
+  }
+}
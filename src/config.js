@@ -0,0 +1,11 @@
+// Library settings read from the environment. The server and the
+// command-line tool share them so both treat the same data alike.
+export const configFromEnv = (env = process.env) => ({
+  requireMembership: true,
+  isbnMode: env.ISBN_MODE || "strict",
+  retention: {
+    historyDays: Number(env.HISTORY_RETENTION_DAYS) || 365,
+    anonymize: env.ANONYMIZE_HISTORY !== "false",
+    intervalHours: Number(env.RETENTION_INTERVAL_HOURS) || 24,
+  },
+});
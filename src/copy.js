@@ -0,0 +1,32 @@
+export const CopyStatus = Object.freeze({
+  AVAILABLE: "available",
+  BORROWED: "borrowed",
+  HELD: "held",
+  LOST: "lost",
+});
+
+export class BookCopy {
+  constructor(barcode, isbn) {
+    this.barcode = barcode;
+    this.isbn = isbn;
+    this.status = CopyStatus.AVAILABLE;
+    this.heldFor = null;
+  }
+
+  static fromJSON(data) {
+    const copy = new BookCopy(data.barcode, data.isbn);
+    copy.status = data.status;
+    copy.heldFor = data.heldFor ?? null;
+    return copy;
+  }
+
+  get isAvailable() {
+    return this.status === CopyStatus.AVAILABLE;
+  }
+
+  get isInUse() {
+    return (
+      this.status === CopyStatus.BORROWED || this.status === CopyStatus.HELD
+    );
+  }
+}
@@ -0,0 +1,145 @@
+// Minimal RFC 4180 reader and writer: quoted fields may contain commas,
+// doubled quotes and line breaks.
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+const escapeField = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function formatCSV(rows) {
+  return (
+    rows.map((row) => row.map(escapeField).join(",")).join("\r\n") + "\r\n"
+  );
+}
+
+export const CATALOG_CSV_HEADER = [
+  "isbn",
+  "title",
+  "author",
+  "publicationYear",
+  "category",
+  "copies",
+];
+
+// Common spreadsheet headings, compared with case and punctuation removed.
+const HEADER_ALIASES = {
+  isbn: "isbn",
+  isbn10: "isbn",
+  isbn13: "isbn",
+  title: "title",
+  author: "author",
+  authors: "author",
+  year: "publicationYear",
+  publicationyear: "publicationYear",
+  published: "publicationYear",
+  category: "category",
+  categories: "category",
+  genre: "category",
+  subject: "category",
+  copies: "copies",
+  quantity: "copies",
+};
+
+const normalizeHeader = (header) =>
+  header.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Turns catalog CSV into book rows. `columns` maps extra headings to fields,
+// e.g. `{ "Book Name": "title" }`. Several categories are separated by ";".
+export function readCatalogCSV(text, columns = {}) {
+  const [header = [], ...rows] = parseCSV(text);
+  const custom = Object.fromEntries(
+    Object.entries(columns).map(([heading, field]) => [
+      normalizeHeader(heading),
+      field,
+    ])
+  );
+  const fields = header.map((heading) => {
+    const key = normalizeHeader(heading);
+    return custom[key] || HEADER_ALIASES[key];
+  });
+
+  const missing = ["isbn", "title", "author", "publicationYear"].filter(
+    (field) => !fields.includes(field)
+  );
+  if (missing.length > 0) {
+    throw new Error(`CSV header is missing columns: ${missing.join(", ")}`);
+  }
+
+  return rows
+    .map((values, index) => {
+      const record = { row: index + 2 };
+      fields.forEach((field, column) => {
+        if (field) record[field] = (values[column] || "").trim();
+      });
+      return record;
+    })
+    .filter((record) => fields.some((field) => field && record[field]))
+    .map(({ row, isbn, title, author, publicationYear, category, copies }) => ({
+      row,
+      isbn,
+      title,
+      author,
+      publicationYear: publicationYear ? Number(publicationYear) : undefined,
+      categories: (category || "")
+        .split(";")
+        .map((name) => name.trim())
+        .filter(Boolean),
+      copies: copies ? Number(copies) : 1,
+    }));
+}
+
+export function writeCatalogCSV(books, categoriesOf) {
+  return formatCSV([
+    CATALOG_CSV_HEADER,
+    ...books.map((book) => [
+      book.isbn,
+      book.title,
+      book.author,
+      book.publicationYear,
+      categoriesOf(book.isbn).join("; "),
+      book.totalCopies,
+    ]),
+  ]);
+}
@@ -0,0 +1,28 @@
+export class LibraryError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "LibraryError";
+    this.code = code;
+  }
+}
+
+export class ImportValidationError extends LibraryError {
+  constructor(errors) {
+    super(
+      `Import rejected: ${errors.length} invalid record(s)`,
+      "INVALID_IMPORT"
+    );
+    this.name = "ImportValidationError";
+    this.errors = errors;
+  }
+}
+
+// Raised for missing or invalid credentials (401) and for requests the
+// authenticated identity may not make (403).
+export class AuthError extends LibraryError {
+  constructor(message, code, status) {
+    super(message, code);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
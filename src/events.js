@@ -0,0 +1,84 @@
+// Domain events share their types with audit log actions, so every change a
+// Library makes is published exactly once.
+export const EventType = Object.freeze({
+  BOOK_ADDED: "book.add",
+  BOOK_UPDATED: "book.update",
+  BOOK_DELETED: "book.delete",
+  COPY_ADDED: "copy.add",
+  COPY_REMOVED: "copy.remove",
+  CATEGORY_CREATED: "category.create",
+  CATEGORY_RENAMED: "category.rename",
+  CATEGORY_MOVED: "category.move",
+  CATEGORY_MERGED: "category.merge",
+  CATEGORY_DELETED: "category.delete",
+  CATEGORY_ASSIGNED: "category.assign",
+  CATEGORY_UNASSIGNED: "category.unassign",
+  BOOK_BORROWED: "loan.borrow",
+  BOOK_RETURNED: "loan.return",
+  LOAN_RENEWED: "loan.renew",
+  BOOK_LOST: "loan.lost",
+  HOLD_PLACED: "hold.place",
+  HOLD_READY: "hold.ready",
+  HOLD_CANCELLED: "hold.cancel",
+  HOLD_EXPIRED: "hold.expire",
+  MEMBER_REGISTERED: "member.register",
+  MEMBER_UPDATED: "member.update",
+  MEMBER_SUSPENDED: "member.suspend",
+  MEMBER_REINSTATED: "member.reinstate",
+  MEMBER_RENEWED: "member.renew",
+  MEMBER_DELETED: "member.delete",
+  FINE_CHARGED: "ledger.charge",
+  PAYMENT_RECORDED: "ledger.payment",
+  FINE_WAIVED: "ledger.waiver",
+  CATALOG_IMPORTED: "catalog.import",
+  HISTORY_ARCHIVED: "history.archive",
+});
+
+export const EVENT_TYPES = Object.values(EventType);
+
+export const toDomainEvent = (entry) => ({
+  id: `evt_${entry.id}`,
+  type: entry.action,
+  occurredAt: entry.timestamp,
+  actor: entry.actor,
+  requestId: entry.requestId,
+  entityType: entry.entityType,
+  entityId: entry.entityId,
+  before: entry.before,
+  after: entry.after,
+});
+
+// Listeners run synchronously, in the order they subscribed. A failing
+// listener is reported and skipped: the change it was told about has already
+// happened and must not be undone by a subscriber.
+export class EventBus {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    this.listeners.get(type)?.delete(listener);
+  }
+
+  emit(event) {
+    const listeners = [
+      ...(this.listeners.get(event.type) || []),
+      ...(this.listeners.get("*") || []),
+    ];
+    listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`Listener for ${event.type} failed:`, error);
+      }
+    });
+  }
+}
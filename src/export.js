@@ -0,0 +1,398 @@
+import { CopyStatus } from "./copy.js";
+import { LedgerEntryType } from "./fines.js";
+import { HoldStatus } from "./hold.js";
+import { IsbnMode, normalizeIsbn, parseIsbn } from "./isbn.js";
+
+export const EXPORT_SCHEMA_VERSION = 1;
+
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0;
+
+const isValidDate = (value) =>
+  (value instanceof Date || typeof value === "string") &&
+  !Number.isNaN(new Date(value).getTime());
+
+// Exports written before the format was versioned stored a single
+// `isAvailable` flag per book and serialized category sets as `{}`.
+export function migrateExport(data) {
+  if (!data || typeof data !== "object" || "schemaVersion" in data) {
+    return data;
+  }
+
+  return {
+    ...data,
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    books: Array.isArray(data.books)
+      ? data.books.map(([isbn, book]) =>
+          book && !Array.isArray(book.copies)
+            ? [
+                isbn,
+                {
+                  ...book,
+                  copies: [
+                    {
+                      barcode: `${isbn}-1`,
+                      isbn,
+                      status:
+                        book.isAvailable === false
+                          ? CopyStatus.BORROWED
+                          : CopyStatus.AVAILABLE,
+                      heldFor: null,
+                    },
+                  ],
+                },
+              ]
+            : [isbn, book]
+        )
+      : data.books,
+    categories: Array.isArray(data.categories)
+      ? data.categories.map(([name, isbns]) => [
+          name,
+          Array.isArray(isbns) ? isbns : [],
+        ])
+      : data.categories,
+  };
+}
+
+// Books are stored under their ISBN-13 since ISBN validation was added, but
+// older exports may key them by ISBN-10. Every ISBN in the export, including
+// the references from copies, loans, holds, categories, history and the
+// ledger, is rewritten to the ISBN-13 form. Anything that is not a valid ISBN
+// is kept as it is for validateExport to judge.
+export function normalizeExportIsbns(data) {
+  if (!data || typeof data !== "object") return data;
+
+  const canonical = (value) =>
+    typeof value === "string" ? (parseIsbn(value) ?? value) : value;
+  const withIsbn = (record) =>
+    record && typeof record === "object" && "isbn" in record
+      ? { ...record, isbn: canonical(record.isbn) }
+      : record;
+  const mapEntries = (collection, map) =>
+    Array.isArray(data[collection])
+      ? data[collection].map((entry) =>
+          Array.isArray(entry) ? map(entry[0], entry[1]) : entry
+        )
+      : data[collection];
+  const mapRecords = (records, map) =>
+    Array.isArray(records) ? records.map(map) : records;
+
+  return {
+    ...data,
+    books: mapEntries("books", (isbn, book) => [
+      canonical(isbn),
+      book && typeof book === "object"
+        ? {
+            ...withIsbn(book),
+            ...(book.workId !== undefined && {
+              workId: canonical(book.workId),
+            }),
+            copies: mapRecords(book.copies, withIsbn),
+          }
+        : book,
+    ]),
+    categories: mapEntries("categories", (name, isbns) => [
+      name,
+      mapRecords(isbns, canonical),
+    ]),
+    borrowHistory: mapEntries("borrowHistory", (userId, history) => [
+      userId,
+      mapRecords(history, withIsbn),
+    ]),
+    loans: mapEntries("loans", (barcode, loan) => [barcode, withIsbn(loan)]),
+    holds: mapEntries("holds", (isbn, queue) => [
+      canonical(isbn),
+      mapRecords(queue, withIsbn),
+    ]),
+    ledger: mapEntries("ledger", (userId, ledger) => [
+      userId,
+      mapRecords(ledger, withIsbn),
+    ]),
+  };
+}
+
+// Checks every record of an export and returns a list of
+// `{ path, message }` problems instead of stopping at the first one. Book
+// keys must be ISBNs in their stored form under `isbnMode`, and member types
+// must be among `memberTypes` when it is given.
+export function validateExport(
+  data,
+  { isbnMode = IsbnMode.LENIENT, memberTypes } = {}
+) {
+  const errors = [];
+  const check = (condition, path, message) => {
+    if (!condition) errors.push({ path, message });
+    return condition;
+  };
+
+  if (
+    !check(data && typeof data === "object", "", "Export must be an object")
+  ) {
+    return errors;
+  }
+  check(
+    data.schemaVersion === EXPORT_SCHEMA_VERSION,
+    "schemaVersion",
+    `Unsupported schema version: ${data.schemaVersion}`
+  );
+
+  const entries = (collection, validate) => {
+    const value = data[collection];
+    if (value === undefined) return;
+    if (!check(Array.isArray(value), collection, "Must be an array")) return;
+
+    value.forEach((entry, index) => {
+      const path = `${collection}[${index}]`;
+      if (
+        check(
+          Array.isArray(entry) &&
+            entry.length === 2 &&
+            isNonEmptyString(entry[0]),
+          path,
+          "Must be a [key, value] pair with a string key"
+        )
+      ) {
+        validate(entry[0], entry[1], path);
+      }
+    });
+  };
+
+  const records = (value, path, validate) => {
+    if (check(Array.isArray(value), path, "Must be an array")) {
+      value.forEach((record, index) => {
+        const recordPath = `${path}[${index}]`;
+        if (
+          check(
+            record && typeof record === "object",
+            recordPath,
+            "Must be an object"
+          )
+        ) {
+          validate(record, recordPath);
+        }
+      });
+    }
+  };
+
+  const isbns = new Set();
+  const barcodes = new Set();
+  const currentYear = new Date().getFullYear();
+
+  entries("books", (isbn, book, path) => {
+    if (!check(book && typeof book === "object", path, "Must be an object")) {
+      return;
+    }
+    try {
+      check(
+        normalizeIsbn(isbn, isbnMode) === isbn,
+        path,
+        `ISBN is not in its stored form: ${isbn}`
+      );
+    } catch (error) {
+      check(false, path, `${error.message}: ${isbn}`);
+    }
+    check(!isbns.has(isbn), path, `Duplicate ISBN: ${isbn}`);
+    isbns.add(isbn);
+    check(book.isbn === isbn, `${path}.isbn`, "Must match the entry key");
+    check(isNonEmptyString(book.title), `${path}.title`, "Title is required");
+    check(
+      isNonEmptyString(book.author),
+      `${path}.author`,
+      "Author is required"
+    );
+    check(
+      Number.isInteger(book.publicationYear) &&
+        book.publicationYear >= 1900 &&
+        book.publicationYear <= currentYear,
+      `${path}.publicationYear`,
+      "Invalid publication year"
+    );
+    if (book.version !== undefined) {
+      check(
+        Number.isInteger(book.version) && book.version >= 1,
+        `${path}.version`,
+        "Version must be a positive integer"
+      );
+    }
+    if (book.contributors !== undefined) {
+      records(book.contributors, `${path}.contributors`, (contributor, at) =>
+        check(
+          isNonEmptyString(contributor.name),
+          `${at}.name`,
+          "Contributor name is required"
+        )
+      );
+    }
+    records(book.copies, `${path}.copies`, (copy, copyPath) => {
+      if (
+        check(
+          isNonEmptyString(copy.barcode),
+          `${copyPath}.barcode`,
+          "Barcode is required"
+        )
+      ) {
+        check(
+          !barcodes.has(copy.barcode),
+          `${copyPath}.barcode`,
+          `Duplicate barcode: ${copy.barcode}`
+        );
+        barcodes.add(copy.barcode);
+      }
+      check(copy.isbn === isbn, `${copyPath}.isbn`, "Must match the book ISBN");
+      check(
+        Object.values(CopyStatus).includes(copy.status),
+        `${copyPath}.status`,
+        `Invalid copy status: ${copy.status}`
+      );
+    });
+  });
+
+  const categoryNames = new Set();
+  entries("categories", (name, categoryIsbns, path) => {
+    categoryNames.add(name);
+    if (check(Array.isArray(categoryIsbns), path, "Must be an array")) {
+      categoryIsbns.forEach((isbn, index) =>
+        check(isbns.has(isbn), `${path}[${index}]`, `Unknown ISBN: ${isbn}`)
+      );
+    }
+  });
+
+  const parents = new Map();
+  entries("categoryParents", (name, parent, path) => {
+    check(categoryNames.has(name), path, `Unknown category: ${name}`);
+    if (
+      check(
+        categoryNames.has(parent),
+        path,
+        `Unknown parent category: ${parent}`
+      )
+    ) {
+      parents.set(name, parent);
+    }
+  });
+  parents.forEach((_, name) => {
+    const seen = new Set();
+    for (let category = name; parents.has(category);) {
+      seen.add(category);
+      category = parents.get(category);
+      if (seen.has(category)) {
+        check(false, "categoryParents", `Category cycle at: ${name}`);
+        break;
+      }
+    }
+  });
+
+  entries("borrowHistory", (userId, history, path) => {
+    records(history, path, (record, recordPath) => {
+      check(
+        isNonEmptyString(record.isbn),
+        `${recordPath}.isbn`,
+        "ISBN is required"
+      );
+      check(
+        isNonEmptyString(record.action),
+        `${recordPath}.action`,
+        "Action is required"
+      );
+      check(
+        isValidDate(record.timestamp),
+        `${recordPath}.timestamp`,
+        "Invalid date"
+      );
+    });
+  });
+
+  entries("loans", (barcode, loan, path) => {
+    if (!check(loan && typeof loan === "object", path, "Must be an object")) {
+      return;
+    }
+    check(
+      loan.barcode === barcode,
+      `${path}.barcode`,
+      "Must match the entry key"
+    );
+    check(
+      barcodes.has(barcode),
+      `${path}.barcode`,
+      `Unknown barcode: ${barcode}`
+    );
+    check(isbns.has(loan.isbn), `${path}.isbn`, `Unknown ISBN: ${loan.isbn}`);
+    check(
+      isNonEmptyString(loan.userId),
+      `${path}.userId`,
+      "User id is required"
+    );
+    check(isValidDate(loan.borrowedAt), `${path}.borrowedAt`, "Invalid date");
+    check(isValidDate(loan.dueDate), `${path}.dueDate`, "Invalid date");
+    check(
+      Number.isInteger(loan.renewals) && loan.renewals >= 0,
+      `${path}.renewals`,
+      "Must be a non-negative integer"
+    );
+  });
+
+  entries("holds", (isbn, queue, path) => {
+    check(isbns.has(isbn), path, `Unknown ISBN: ${isbn}`);
+    records(queue, path, (hold, holdPath) => {
+      check(hold.isbn === isbn, `${holdPath}.isbn`, "Must match the entry key");
+      check(
+        isNonEmptyString(hold.userId),
+        `${holdPath}.userId`,
+        "User id is required"
+      );
+      check(isValidDate(hold.placedAt), `${holdPath}.placedAt`, "Invalid date");
+      check(
+        Object.values(HoldStatus).includes(hold.status),
+        `${holdPath}.status`,
+        `Invalid hold status: ${hold.status}`
+      );
+    });
+  });
+
+  entries("members", (id, member, path) => {
+    if (
+      !check(member && typeof member === "object", path, "Must be an object")
+    ) {
+      return;
+    }
+    check(member.id === id, `${path}.id`, "Must match the entry key");
+    check(isNonEmptyString(member.name), `${path}.name`, "Name is required");
+    if (
+      check(isNonEmptyString(member.type), `${path}.type`, "Type is required")
+    ) {
+      check(
+        !memberTypes || Object.hasOwn(memberTypes, member.type),
+        `${path}.type`,
+        `Unknown member type: ${member.type}`
+      );
+    }
+    check(
+      isValidDate(member.registeredAt),
+      `${path}.registeredAt`,
+      "Invalid date"
+    );
+    check(isValidDate(member.expiresAt), `${path}.expiresAt`, "Invalid date");
+  });
+
+  entries("ledger", (userId, ledger, path) => {
+    records(ledger, path, (entry, entryPath) => {
+      check(
+        Object.values(LedgerEntryType).includes(entry.type),
+        `${entryPath}.type`,
+        `Invalid entry type: ${entry.type}`
+      );
+      check(
+        Number.isInteger(entry.amount) && entry.amount > 0,
+        `${entryPath}.amount`,
+        "Must be a positive number of cents"
+      );
+      check(
+        isValidDate(entry.timestamp),
+        `${entryPath}.timestamp`,
+        "Invalid date"
+      );
+    });
+  });
+
+  return errors;
+}
@@ -0,0 +1,10 @@
+// All amounts are integer cents to keep balances free of rounding errors.
+export const LedgerEntryType = Object.freeze({
+  CHARGE: "charge",
+  PAYMENT: "payment",
+  WAIVER: "waiver",
+});
+
+export function calculateLateFine(daysOverdue, policy) {
+  return Math.min(daysOverdue * policy.dailyRate, policy.maxPerLoan);
+}
@@ -0,0 +1,23 @@
+export const HoldStatus = Object.freeze({
+  WAITING: "waiting",
+  READY: "ready",
+});
+
+export class Hold {
+  constructor(isbn, userId, placedAt) {
+    this.isbn = isbn;
+    this.userId = userId;
+    this.placedAt = placedAt;
+    this.status = HoldStatus.WAITING;
+    this.barcode = null;
+    this.expiresAt = null;
+  }
+
+  static fromJSON(data) {
+    const hold = new Hold(data.isbn, data.userId, new Date(data.placedAt));
+    hold.status = data.status;
+    hold.barcode = data.barcode;
+    hold.expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+    return hold;
+  }
+}
@@ -0,0 +1,90 @@
+import { LibraryError } from "./errors.js";
+
+export const IsbnMode = Object.freeze({
+  // Every identifier must be a valid ISBN-10 or ISBN-13.
+  STRICT: "strict",
+  // Identifiers that look like ISBNs must still pass the checksum, anything
+  // else is kept as a local identifier.
+  LENIENT: "lenient",
+});
+
+const compact = (value) => String(value).replace(/[\s-]/g, "").toUpperCase();
+
+const looksLikeIsbn = (value) => /^(\d{9}[\dX]|\d{13})$/.test(value);
+
+const isbn10CheckDigit = (first9) => {
+  const sum = [...first9].reduce(
+    (total, digit, index) => total + Number(digit) * (10 - index),
+    0
+  );
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? "X" : String(check);
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = [...first12].reduce(
+    (total, digit, index) => total + Number(digit) * (index % 2 ? 3 : 1),
+    0
+  );
+  return String((10 - (sum % 10)) % 10);
+};
+
+export function isValidIsbn10(value) {
+  const isbn = compact(value);
+  return (
+    /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn.slice(0, 9)) === isbn[9]
+  );
+}
+
+export function isValidIsbn13(value) {
+  const isbn = compact(value);
+  return (
+    /^\d{13}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12]
+  );
+}
+
+export function isbn10To13(value) {
+  const first12 = `978${compact(value).slice(0, 9)}`;
+  return first12 + isbn13CheckDigit(first12);
+}
+
+// Only 978-prefixed ISBN-13s have an ISBN-10 form.
+export function isbn13To10(value) {
+  const isbn = compact(value);
+  if (!isValidIsbn13(isbn) || !isbn.startsWith("978")) {
+    return null;
+  }
+  const first9 = isbn.slice(3, 12);
+  return first9 + isbn10CheckDigit(first9);
+}
+
+// Returns the canonical ISBN-13 for an ISBN in either form, or the trimmed
+// value itself for local identifiers the given mode allows.
+export function normalizeIsbn(value, mode = IsbnMode.STRICT) {
+  const isbn = parseIsbn(value);
+  if (isbn) {
+    return isbn;
+  }
+  if (looksLikeIsbn(compact(value))) {
+    throw new LibraryError("Invalid ISBN checksum", "INVALID_ISBN_CHECKSUM");
+  }
+  if (mode === IsbnMode.LENIENT) {
+    return String(value).trim();
+  }
+  throw new LibraryError("Invalid ISBN format", "INVALID_ISBN_FORMAT");
+}
+
+// Returns the canonical ISBN-13 when the value is a valid ISBN in either
+// form, otherwise null.
+export function parseIsbn(value) {
+  const isbn = compact(value);
+  if (isbn.length === 10 && isValidIsbn10(isbn)) return isbn10To13(isbn);
+  if (isbn.length === 13 && isValidIsbn13(isbn)) return isbn;
+  return null;
+}
+
+// Key for looking up existing records: never throws, so unknown or invalid
+// identifiers simply find nothing.
+export function isbnKey(value) {
+  return parseIsbn(value) ?? String(value).trim();
+}
@@ -1,18 +1,188 @@
-import { Book } from "./book.js";
+import {
+  Book,
+  ContributorRole,
+  authorOf,
+  normalizeBookDetails,
+} from "./book.js";
+import { BorrowAggregates } from "./analytics.js";
+import { AuditLog, snapshot } from "./audit.js";
+import { BookCopy, CopyStatus } from "./copy.js";
+import { readCatalogCSV, writeCatalogCSV } from "./csv.js";
+import { ImportValidationError, LibraryError } from "./errors.js";
+import { EventBus, toDomainEvent } from "./events.js";
+import {
+  EXPORT_SCHEMA_VERSION,
+  migrateExport,
+  normalizeExportIsbns,
+  validateExport,
+} from "./export.js";
+import { LedgerEntryType, calculateLateFine } from "./fines.js";
+import { Hold, HoldStatus } from "./hold.js";
+import { IsbnMode, isbnKey, normalizeIsbn, parseIsbn } from "./isbn.js";
+import { DAY_MS, Loan } from "./loan.js";
+import {
+  bookToMarc,
+  decodeRecord,
+  encodeMarc,
+  fromMarcXml,
+  marcToBook,
+  splitMarc,
+  toMarcXml,
+} from "./marc.js";
+import { Member, MemberType } from "./member.js";
+import {
+  SearchIndex,
+  foldText,
+  parseFilters,
+  parseQuery,
+} from "./search-index.js";
+import {
+  CATEGORY_WEIGHT,
+  buildBorrowGraph,
+  categoryAffinity,
+  coBorrowed,
+} from "./recommendations.js";
+import { MemoryStorage } from "./storage/memory.js";
+import { HistoryArchive, anonymousId, archivableCount } from "./retention.js";
+import { resolveTimeframe } from "./timeframe.js";
+
+const PERSISTED_COLLECTIONS = [
+  "books",
+  "categories",
+  "categoryParents",
+  "borrowHistory",
+  "loans",
+  "holds",
+  "members",
+  "ledger",
+];
+
+const BOOK_SORTS = {
+  title: (a, b) => a.title.localeCompare(b.title),
+  author: (a, b) => a.author.localeCompare(b.author),
+  year: (a, b) => a.publicationYear - b.publicationYear,
+};
+
+// History actions for hold events and how they appear in the audit log.
+const HOLD_AUDIT_ACTIONS = {
+  hold: { auditAction: "hold.place", removed: false },
+  "hold-ready": { auditAction: "hold.ready", removed: false },
+  "hold-cancel": { auditAction: "hold.cancel", removed: true },
+  "hold-expire": { auditAction: "hold.expire", removed: true },
+};
+
+const toStorable = (value) =>
+  value instanceof Set ? Array.from(value) : value;
+
+const reviveDates = (record, ...fields) => {
+  const revived = { ...record };
+  fields.forEach((field) => {
+    if (revived[field]) revived[field] = new Date(revived[field]);
+  });
+  return revived;
+};
+
+const DEFAULT_CONFIG = {
+  loanPeriodDays: 14,
+  maxRenewals: 2,
+  holdPickupDays: 3,
+  isbnMode: IsbnMode.LENIENT,
+  requireMembership: false,
+  membershipDays: 365,
+  memberTypes: {
+    [MemberType.STUDENT]: { maxLoans: 5 },
+    [MemberType.STAFF]: { maxLoans: 20 },
+    [MemberType.GUEST]: { maxLoans: 2 },
+  },
+  fines: {
+    dailyRate: 25,
+    maxPerLoan: 1000,
+    lostItemFee: 3000,
+    blockingBalance: 500,
+  },
+  analytics: {
+    timeZone: "UTC",
+    recentDays: 30,
+  },
+  // Borrowing history older than `historyDays` moves to the archive,
+  // filed under anonymous ids unless `anonymize` is off.
+  retention: {
+    historyDays: 365,
+    anonymize: true,
+    intervalHours: 24,
+  },
+};
+
+// Settings given to the constructor override the defaults one by one, also
+// within the nested sections. `memberTypes` lists the types on offer; each
+// takes the default limits of the type of the same name for what it leaves
+// out, and must end up with a loan limit.
+const withDefaults = (config = {}) => {
+  const memberTypes = Object.fromEntries(
+    Object.entries(config.memberTypes || DEFAULT_CONFIG.memberTypes).map(
+      ([type, settings]) => [
+        type,
+        { ...DEFAULT_CONFIG.memberTypes[type], ...settings },
+      ]
+    )
+  );
+  Object.entries(memberTypes).forEach(([type, { maxLoans }]) => {
+    if (!Number.isInteger(maxLoans) || maxLoans < 0) {
+      throw new LibraryError(
+        `Member type ${type} needs a maxLoans limit`,
+        "INVALID_CONFIG"
+      );
+    }
+  });
+
+  return {
+    ...DEFAULT_CONFIG,
+    ...config,
+    memberTypes,
+    fines: { ...DEFAULT_CONFIG.fines, ...config.fines },
+    analytics: { ...DEFAULT_CONFIG.analytics, ...config.analytics },
+    retention: { ...DEFAULT_CONFIG.retention, ...config.retention },
+  };
+};
+
 export class Library {
-  constructor() {
+  constructor(options = {}) {
     this.books = new Map();
     this.borrowHistory = new Map();
     this.categories = new Map();
+    this.categoryParents = new Map();
+    this.copies = new Map();
+    this.loans = new Map();
+    this.holds = new Map();
+    this.members = new Map();
+    this.ledger = new Map();
+    this.searchIndex = new SearchIndex();
+    this.analytics = new BorrowAggregates();
+    this.config = withDefaults(options.config);
+    this.clock = options.clock || (() => new Date());
+    // Called with (operation, durationMs) after each tracked operation.
+    this.onOperation = options.onOperation || null;
+    this.storage = options.storage || new MemoryStorage();
+    this.auditLog = new AuditLog(this.storage, this.clock);
+    this.events = new EventBus();
+    this.pending = null;
+    const state = this.storage.load();
+    // The archive may live in a storage of its own.
+    this.archive = new HistoryArchive(options.archive || this.storage);
+    this.archive.load(
+      (options.archive ? options.archive.load() : state).historyArchive
+    );
+    this.restore(state);
+    this.auditLog.load(state.audit);
     this.performanceMetrics = {
       startTime: Date.now(),
       operations: 0,
-      lastOptimization: Date.now(),
+      lastOptimization: null,
     };
     this.metrics = {
       operations: 0,
       startTime: performance.now(),
-      lastOptimization: performance.now(),
+      lastOptimization: null,
       operationTimes: new Map(),
     };
   }
@@ -41,6 +211,7 @@ export class Library {
       if (this.metrics.operationTimes.get(operation).length > 1000) {
         this.metrics.operationTimes.get(operation).shift();
       }
+      this.onOperation?.(operation, endTime - startTime);
 
       return result;
     } catch (error) {
@@ -48,149 +219,1502 @@ export class Library {
     }
   }
 
-  getPerformanceMetrics() {
-    const metrics = {
-      totalOperations: this.metrics.operations,
-      uptime: performance.now() - this.metrics.startTime,
-      averageOperationTimes: {},
-      memoryTrends: {},
-    };
-
-    // Calculate averages for each operation
-    this.metrics.operationTimes.forEach((times, operation) => {
-      metrics.averageOperationTimes[operation] = {
-        avgDuration:
-          times.reduce((sum, t) => sum + t.duration, 0) / times.length,
-        avgMemoryDelta:
-          times.reduce((sum, t) => sum + t.memoryDelta, 0) / times.length,
-      };
-    });
+  getPerformanceMetrics() {
+    const metrics = {
+      totalOperations: this.metrics.operations,
+      uptime: performance.now() - this.metrics.startTime,
+      averageOperationTimes: {},
+      memoryTrends: {},
+    };
+
+    // Calculate averages for each operation
+    this.metrics.operationTimes.forEach((times, operation) => {
+      metrics.averageOperationTimes[operation] = {
+        avgDuration:
+          times.reduce((sum, t) => sum + t.duration, 0) / times.length,
+        avgMemoryDelta:
+          times.reduce((sum, t) => sum + t.memoryDelta, 0) / times.length,
+      };
+    });
+
+    return metrics;
+  }
+
+  restore(state) {
+    const entries = (name) => state[name] || [];
+
+    this.books = new Map(
+      entries("books").map(([isbn, data]) => [isbn, Book.fromJSON(data)])
+    );
+    this.copies = new Map();
+    this.books.forEach((book) =>
+      book.copies.forEach((copy) => this.copies.set(copy.barcode, copy))
+    );
+    this.categories = new Map(
+      entries("categories").map(([name, isbns]) => [name, new Set(isbns)])
+    );
+    this.categoryParents = new Map(entries("categoryParents"));
+    this.borrowHistory = new Map(
+      entries("borrowHistory").map(([userId, records]) => [
+        userId,
+        records.map((record) => reviveDates(record, "timestamp", "dueDate")),
+      ])
+    );
+    this.loans = new Map(
+      entries("loans").map(([barcode, data]) => [barcode, Loan.fromJSON(data)])
+    );
+    this.holds = new Map(
+      entries("holds").map(([isbn, queue]) => [
+        isbn,
+        queue.map((data) => Hold.fromJSON(data)),
+      ])
+    );
+    this.members = new Map(
+      entries("members").map(([id, data]) => [id, Member.fromJSON(data)])
+    );
+    this.ledger = new Map(
+      entries("ledger").map(([userId, records]) => [
+        userId,
+        records.map((record) => reviveDates(record, "timestamp")),
+      ])
+    );
+    this.searchIndex.clear();
+    this.books.forEach((book) => this.searchIndex.add(book));
+    this.analytics.rebuild(
+      this.analyticsHistory(),
+      this.config.analytics.timeZone
+    );
+  }
+
+  serialize(collection) {
+    return Array.from(this[collection], ([key, value]) => [
+      key,
+      toStorable(value),
+    ]);
+  }
+
+  // Writes the current value of one record through to storage, or removes it
+  // once it no longer exists in memory. Inside a transaction the write waits
+  // for the commit.
+  save(collection, key) {
+    if (this.pending) {
+      this.pending.saves.set(`${collection}\u0000${key}`, [collection, key]);
+      return;
+    }
+    const value = this[collection].get(key);
+    if (value === undefined) {
+      this.storage.delete(collection, key);
+    } else {
+      this.storage.put(collection, key, toStorable(value));
+    }
+  }
+
+  // Rewrites the library's own collections only; other records kept in the
+  // same storage, such as the audit log and webhook subscriptions, survive.
+  saveAll() {
+    const stored = this.storage.load();
+    PERSISTED_COLLECTIONS.forEach((collection) => {
+      (stored[collection] || []).forEach(([key]) => {
+        if (!this[collection].has(key)) {
+          this.storage.delete(collection, key);
+        }
+      });
+      this[collection].forEach((_, key) => this.save(collection, key));
+    });
+  }
+
+  // Runs `fn` so that either all of its changes take effect or, if it
+  // throws, none do. Storage writes, audit events and domain events are held
+  // back until `fn` returns; on failure the library is restored from a
+  // snapshot taken beforehand. Nested calls join the outer transaction.
+  transaction(fn) {
+    if (this.pending) return fn();
+
+    const snapshot = JSON.parse(
+      JSON.stringify(
+        Object.fromEntries(
+          PERSISTED_COLLECTIONS.map((collection) => [
+            collection,
+            this.serialize(collection),
+          ])
+        )
+      )
+    );
+    this.pending = { saves: new Map(), audits: [] };
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      this.pending = null;
+      this.restore(snapshot);
+      throw error;
+    }
+
+    const { saves, audits } = this.pending;
+    this.pending = null;
+    saves.forEach(([collection, key]) => this.save(collection, key));
+    audits.forEach((args) => this.audit(...args));
+    return result;
+  }
+
+  // Every change is both recorded in the audit log and published as a
+  // domain event of the same type.
+  audit(action, entityType, entityId, before, after) {
+    if (this.pending) {
+      // Copied now, as the objects may change again before the commit.
+      this.pending.audits.push([
+        action,
+        entityType,
+        entityId,
+        snapshot(before),
+        snapshot(after),
+      ]);
+      return null;
+    }
+    const entry = this.auditLog.record(
+      action,
+      entityType,
+      entityId,
+      before,
+      after
+    );
+    this.events.emit(toDomainEvent(entry));
+    return entry;
+  }
+
+  // Subscribes to domain events of one type, or "*" for all of them. Returns
+  // a function that removes the listener.
+  on(type, listener) {
+    return this.events.on(type, listener);
+  }
+
+  getAuditLog(filters) {
+    return this.auditLog.query(filters);
+  }
+
+  recordHistory(userId, record) {
+    if (!this.borrowHistory.has(userId)) {
+      this.borrowHistory.set(userId, []);
+    }
+    this.borrowHistory.get(userId).push(record);
+    this.save("borrowHistory", userId);
+    this.analytics.record(userId, record);
+  }
+
+  // `details` holds the optional bibliographic fields (see Book). With
+  // `contributors` given, `author` may be left out and is derived from them.
+  addBook(isbn, title, author, publicationYear, copies = 1, details = {}) {
+    return this.trackPerformance("addBook", () => {
+      if (!isbn) {
+        throw new Error("All book details are required");
+      }
+      const extra = normalizeBookDetails(details);
+      if (!author && extra.contributors) {
+        author = authorOf(extra.contributors);
+      }
+      this.validateBookDetails(title, author, publicationYear);
+
+      isbn = normalizeIsbn(isbn, this.config.isbnMode);
+      this.checkId(isbn, "ISBN");
+
+      if (!Number.isInteger(copies) || copies < 1) {
+        throw new Error("Number of copies must be a positive integer");
+      }
+
+      if (this.books.has(isbn)) {
+        throw new Error("Book with this ISBN already exists");
+      }
+
+      const book = new Book(isbn, title, author, publicationYear, extra);
+      this.books.set(isbn, book);
+      this.searchIndex.add(book);
+      for (let i = 0; i < copies; i++) {
+        this.createCopy(book);
+      }
+      this.save("books", isbn);
+      this.audit("book.add", "book", isbn, null, book);
+      return book;
+    });
+  }
+
+  // Ids key the stored records, so they must be non-empty strings. Checked
+  // before anything changes, so a bad id leaves the library as it was.
+  checkId(id, label) {
+    if (typeof id !== "string" || id.trim() === "") {
+      throw new LibraryError(
+        `${label} must be a non-empty string`,
+        "INVALID_ID"
+      );
+    }
+  }
+
+  validateBookDetails(title, author, publicationYear) {
+    if (!title || !author || !publicationYear) {
+      throw new Error("All book details are required");
+    }
+
+    const currentYear = new Date().getFullYear();
+    if (publicationYear < 1900 || publicationYear > currentYear) {
+      throw new Error("Invalid publication year");
+    }
+  }
+
+  // Optimistic concurrency: a caller that read a book at some version can
+  // make its change conditional on nobody having changed the book since.
+  // `expectedVersion` may also list several acceptable versions.
+  checkVersion(book, expectedVersion) {
+    if (
+      expectedVersion !== undefined &&
+      ![].concat(expectedVersion).includes(book.version)
+    ) {
+      throw new LibraryError(
+        `Book was changed by someone else (now at version ${book.version})`,
+        "VERSION_CONFLICT"
+      );
+    }
+  }
+
+  // Records a change to a book's record: bumps its version and writes it
+  // through.
+  touchBook(book) {
+    book.version++;
+    this.save("books", book.isbn);
+  }
+
+  getBook(isbn) {
+    const book = this.books.get(isbnKey(isbn));
+    if (!book) {
+      throw new LibraryError("Book not found", "BOOK_NOT_FOUND");
+    }
+    return book;
+  }
+
+  // Edits the descriptive fields of a book. The ISBN identifies its copies,
+  // loans and history, so it cannot change; `categories` replaces the
+  // categories the book is filed under. `author` and the authors among
+  // `contributors` are kept in step, and a null `workId` makes the book a
+  // work of its own again.
+  updateBook(isbn, changes = {}, { expectedVersion } = {}) {
+    const book = this.getBook(isbn);
+    this.checkVersion(book, expectedVersion);
+    const { title, author, publicationYear, categories } = changes;
+
+    if (changes.isbn !== undefined && isbnKey(changes.isbn) !== book.isbn) {
+      throw new LibraryError("ISBN cannot be changed", "ISBN_IMMUTABLE");
+    }
+    const details = normalizeBookDetails(changes);
+    if (details.workId === null) {
+      details.workId = book.isbn;
+    }
+    if (details.contributors && author === undefined) {
+      details.author = authorOf(details.contributors);
+    } else if (author !== undefined && !details.contributors) {
+      details.contributors = [
+        { name: author, role: ContributorRole.AUTHOR },
+        ...book.contributors.filter(
+          (contributor) => contributor.role !== ContributorRole.AUTHOR
+        ),
+      ];
+    }
+    const updated = {
+      title: title !== undefined ? title : book.title,
+      author: author !== undefined ? author : (details.author ?? book.author),
+      publicationYear:
+        publicationYear !== undefined ? publicationYear : book.publicationYear,
+    };
+    this.validateBookDetails(
+      updated.title,
+      updated.author,
+      updated.publicationYear
+    );
+    if (
+      categories !== undefined &&
+      (!Array.isArray(categories) ||
+        categories.some((name) => typeof name !== "string" || !name))
+    ) {
+      throw new LibraryError(
+        "Categories must be a list of names",
+        "INVALID_CATEGORIES"
+      );
+    }
+
+    const before = { ...book };
+    Object.assign(book, details, updated);
+    this.searchIndex.add(book);
+    this.touchBook(book);
+    this.audit("book.update", "book", book.isbn, before, book);
+    if (categories !== undefined) {
+      this.setBookCategories(book.isbn, categories);
+    }
+    return book;
+  }
+
+  // Every edition of the book's work, oldest first.
+  getEditions(isbn) {
+    const { workId } = this.getBook(isbn);
+    return Array.from(this.books.values())
+      .filter((book) => book.workId === workId)
+      .sort(
+        (a, b) =>
+          a.publicationYear - b.publicationYear ||
+          a.title.localeCompare(b.title)
+      );
+  }
+
+  // Groups `isbn` with the work `editionOf` belongs to.
+  linkEdition(isbn, editionOf) {
+    const { workId } = this.getBook(editionOf);
+    this.updateBook(isbn, { workId });
+    return this.getEditions(isbn);
+  }
+
+  setBookCategories(isbn, names) {
+    const wanted = new Set(names);
+    this.categories.forEach((isbns, category) => {
+      if (!wanted.has(category) && isbns.has(isbn)) {
+        this.removeFromCategory(category, isbn);
+      }
+    });
+    wanted.forEach((category) => {
+      if (!this.categories.get(category)?.has(isbn)) {
+        this.addToCategory(category, isbn);
+      }
+    });
+  }
+
+  addBookWithCategory(isbn, title, author, year, category, copies = 1) {
+    category = this.categoryName(category);
+    const book = this.addBook(isbn, title, author, year, copies);
+    this.addToCategory(category, book.isbn);
+    return book;
+  }
+
+  // Creates the category on first use.
+  addToCategory(category, isbn) {
+    category = this.categoryName(category);
+    if (!this.categories.has(category)) {
+      this.categories.set(category, new Set());
+    }
+    this.categories.get(category).add(isbn);
+    this.save("categories", category);
+    this.audit("category.assign", "category", category, null, { isbn });
+  }
+
+  removeFromCategory(category, isbn) {
+    this.categories.get(category).delete(isbn);
+    this.save("categories", category);
+    this.audit("category.unassign", "category", category, { isbn }, null);
+  }
+
+  getBookCategories(isbn) {
+    isbn = isbnKey(isbn);
+    return Array.from(this.categories)
+      .filter(([, isbns]) => isbns.has(isbn))
+      .map(([category]) => category);
+  }
+
+  // Files an existing book under an existing category as well as the
+  // categories it is already in.
+  assignCategory(isbn, category) {
+    const book = this.getBook(isbn);
+    this.requireCategory(category);
+    if (!this.categories.get(category).has(book.isbn)) {
+      this.addToCategory(category, book.isbn);
+    }
+    return this.getBookCategories(book.isbn);
+  }
+
+  unassignCategory(isbn, category) {
+    const book = this.getBook(isbn);
+    this.requireCategory(category);
+    if (this.categories.get(category).has(book.isbn)) {
+      this.removeFromCategory(category, book.isbn);
+    }
+    return this.getBookCategories(book.isbn);
+  }
+
+  requireCategory(name) {
+    if (!this.categories.has(name)) {
+      throw new LibraryError("Category not found", "CATEGORY_NOT_FOUND");
+    }
+  }
+
+  // Category names are trimmed and may not be blank.
+  categoryName(name) {
+    if (typeof name !== "string" || !name.trim()) {
+      throw new LibraryError("Category name is required", "INVALID_CATEGORY");
+    }
+    return name.trim();
+  }
+
+  validateCategoryName(name) {
+    name = this.categoryName(name);
+    if (this.categories.has(name)) {
+      throw new LibraryError(
+        `Category already exists: ${name}`,
+        "CATEGORY_EXISTS"
+      );
+    }
+    return name;
+  }
+
+  // Categories form a tree: each may sit under one parent, so "Fantasy" can
+  // be filed under "Fiction".
+  createCategory(name, { parent = null } = {}) {
+    name = this.validateCategoryName(name);
+    if (parent !== null) {
+      this.requireCategory(parent);
+    }
+
+    this.categories.set(name, new Set());
+    this.save("categories", name);
+    if (parent !== null) {
+      this.categoryParents.set(name, parent);
+      this.save("categoryParents", name);
+    }
+    const category = this.getCategory(name);
+    this.audit("category.create", "category", name, null, category);
+    return category;
+  }
+
+  getCategory(name) {
+    this.requireCategory(name);
+    return {
+      name,
+      parent: this.categoryParents.get(name) ?? null,
+      bookCount: this.categories.get(name).size,
+    };
+  }
+
+  // Subcategories move with their parent.
+  renameCategory(name, newName) {
+    this.requireCategory(name);
+    if (newName === name) return this.getCategory(name);
+    newName = this.validateCategoryName(newName);
+
+    const before = this.getCategory(name);
+    this.categories.set(newName, this.categories.get(name));
+    this.categories.delete(name);
+    this.save("categories", name);
+    this.save("categories", newName);
+    if (this.categoryParents.has(name)) {
+      this.categoryParents.set(newName, this.categoryParents.get(name));
+      this.categoryParents.delete(name);
+      this.save("categoryParents", name);
+      this.save("categoryParents", newName);
+    }
+    this.setCategoryParent(this.getChildCategories(name), newName);
+
+    const after = this.getCategory(newName);
+    this.audit("category.rename", "category", name, before, after);
+    return after;
+  }
+
+  // Moves a category under `parent`, or to the top level when it is null.
+  moveCategory(name, parent = null) {
+    this.requireCategory(name);
+    if (parent !== null) {
+      this.requireCategory(parent);
+      if (this.getCategoryDescendants(name).includes(parent)) {
+        throw new LibraryError(
+          "A category cannot be moved under itself or its subcategories",
+          "CATEGORY_CYCLE"
+        );
+      }
+    }
+
+    const before = this.getCategory(name);
+    this.setCategoryParent([name], parent);
+    const after = this.getCategory(name);
+    this.audit("category.move", "category", name, before, after);
+    return after;
+  }
+
+  // Files the books of `source` under `target` and removes `source`; its
+  // subcategories move to `target`.
+  mergeCategories(source, target) {
+    this.requireCategory(source);
+    this.requireCategory(target);
+    if (this.getCategoryDescendants(source).includes(target)) {
+      throw new LibraryError(
+        "A category cannot be merged into itself or its subcategories",
+        "CATEGORY_CYCLE"
+      );
+    }
+
+    const before = this.categorySnapshot(source);
+    this.categories
+      .get(source)
+      .forEach((isbn) => this.categories.get(target).add(isbn));
+    this.save("categories", target);
+    this.setCategoryParent(this.getChildCategories(source), target);
+    this.removeCategory(source);
+
+    const after = this.getCategory(target);
+    this.audit("category.merge", "category", source, before, after);
+    return after;
+  }
+
+  // Books stay in the catalog; subcategories move up to the deleted
+  // category's parent.
+  deleteCategory(name) {
+    this.requireCategory(name);
+    const before = this.categorySnapshot(name);
+    this.setCategoryParent(this.getChildCategories(name), before.parent);
+    this.removeCategory(name);
+    this.audit("category.delete", "category", name, before, null);
+    return true;
+  }
+
+  categorySnapshot(name) {
+    return {
+      ...this.getCategory(name),
+      isbns: Array.from(this.categories.get(name)),
+    };
+  }
+
+  removeCategory(name) {
+    this.categories.delete(name);
+    this.categoryParents.delete(name);
+    this.save("categories", name);
+    this.save("categoryParents", name);
+  }
+
+  setCategoryParent(names, parent) {
+    names.forEach((name) => {
+      if (parent === null) {
+        this.categoryParents.delete(name);
+      } else {
+        this.categoryParents.set(name, parent);
+      }
+      this.save("categoryParents", name);
+    });
+  }
+
+  getChildCategories(name) {
+    return Array.from(this.categoryParents)
+      .filter(([, parent]) => parent === name)
+      .map(([child]) => child);
+  }
+
+  // `name` followed by every category nested under it.
+  getCategoryDescendants(name) {
+    const children = new Map();
+    this.categoryParents.forEach((parent, child) => {
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push(child);
+    });
+
+    const found = [name];
+    for (let i = 0; i < found.length; i++) {
+      found.push(...(children.get(found[i]) || []));
+    }
+    return found;
+  }
+
+  // The given categories together with every category above them.
+  withCategoryAncestors(names) {
+    const found = new Set();
+    names.forEach((name) => {
+      for (
+        let category = name;
+        category !== undefined && !found.has(category);
+        category = this.categoryParents.get(category)
+      ) {
+        found.add(category);
+      }
+    });
+    return found;
+  }
+
+  getCategoryTree() {
+    const build = (name) => ({
+      name,
+      bookCount: this.categories.get(name).size,
+      children: this.getChildCategories(name).map(build),
+    });
+    return Array.from(this.categories.keys())
+      .filter((name) => !this.categoryParents.has(name))
+      .map(build);
+  }
+
+  addCopy(isbn, barcode, { expectedVersion } = {}) {
+    isbn = isbnKey(isbn);
+    const book = this.books.get(isbn);
+
+    if (!book) {
+      throw new Error("Book not found");
+    }
+    this.checkVersion(book, expectedVersion);
+    if (barcode && this.copies.has(barcode)) {
+      throw new Error("Copy with this barcode already exists");
+    }
+
+    // A new copy goes to the first waiting hold, as a returned one would.
+    const copy = this.createCopy(book, barcode);
+    this.allocateCopy(copy);
+    this.audit("copy.add", "copy", copy.barcode, null, copy);
+    return copy;
+  }
+
+  // Generated barcodes are "<isbn>-<n>", skipping any already in use.
+  createCopy(book, barcode) {
+    if (!barcode) {
+      let sequence = book.copies.length + 1;
+      while (this.copies.has(`${book.isbn}-${sequence}`)) {
+        sequence++;
+      }
+      barcode = `${book.isbn}-${sequence}`;
+    }
+
+    const copy = new BookCopy(barcode, book.isbn);
+    book.copies.push(copy);
+    this.copies.set(barcode, copy);
+    return copy;
+  }
+
+  removeCopy(barcode, { expectedVersion } = {}) {
+    const copy = this.copies.get(barcode);
+
+    if (!copy) {
+      throw new Error("Copy not found");
+    }
+    const book = this.books.get(copy.isbn);
+    this.checkVersion(book, expectedVersion);
+    if (copy.isInUse) {
+      throw new Error("Cannot remove borrowed copy");
+    }
+
+    book.copies = book.copies.filter((c) => c.barcode !== barcode);
+    this.copies.delete(barcode);
+    this.touchBook(book);
+    this.audit("copy.remove", "copy", barcode, copy, null);
+    return true;
+  }
+
+  getCopy(barcode) {
+    return this.copies.get(barcode);
+  }
+
+  findCopy(book, barcode) {
+    const copy = book.copies.find((c) => c.barcode === barcode);
+    if (!copy) {
+      throw new Error("Copy not found");
+    }
+    return copy;
+  }
+
+  borrowBook(isbn, userId = "anonymous", options = {}) {
+    isbn = isbnKey(isbn);
+    this.performanceMetrics.operations++;
+    const book = this.books.get(isbn);
+
+    if (!book) {
+      throw new Error("Book not found");
+    }
+
+    this.checkVersion(book, options.expectedVersion);
+    this.checkMemberStanding(userId, { borrowing: true });
+
+    this.expireHolds(isbn);
+    const hold = this.findHold(isbn, userId);
+    const heldCopy =
+      hold && hold.status === HoldStatus.READY
+        ? this.copies.get(hold.barcode)
+        : null;
+
+    const copy = options.barcode
+      ? this.findCopy(book, options.barcode)
+      : heldCopy || book.copies.find((c) => c.isAvailable);
+
+    if (!copy || !(copy.isAvailable || copy === heldCopy)) {
+      throw new Error("Book is not available");
+    }
+
+    // Borrowing fulfils the user's hold; a copy that was waiting for them but
+    // not taken goes to the next patron in the queue.
+    if (hold) {
+      this.removeHold(hold);
+      if (heldCopy && heldCopy !== copy) {
+        this.allocateCopy(heldCopy);
+      }
+    }
+
+    const now = this.clock();
+    const loan = new Loan(
+      copy.barcode,
+      isbn,
+      userId,
+      now,
+      new Date(now.getTime() + this.config.loanPeriodDays * DAY_MS)
+    );
+
+    copy.status = CopyStatus.BORROWED;
+    copy.heldFor = null;
+    this.loans.set(copy.barcode, loan);
+    this.touchBook(book);
+    this.save("loans", copy.barcode);
+    this.audit("loan.borrow", "loan", copy.barcode, null, loan);
+
+    this.recordHistory(userId, {
+      isbn,
+      barcode: copy.barcode,
+      action: "borrow",
+      timestamp: now,
+      dueDate: loan.dueDate,
+    });
+
+    return book;
+  }
+
+  returnBook(isbn, userId = "anonymous", options = {}) {
+    isbn = isbnKey(isbn);
+    this.performanceMetrics.operations++;
+    const book = this.books.get(isbn);
+
+    if (!book) {
+      throw new Error("Book not found");
+    }
+    this.checkVersion(book, options.expectedVersion);
+
+    // Patrons return their own copies. Staff checking books in at the desk
+    // (`anyBorrower`) may return any borrowed copy, preferring the user's.
+    const borrowed = book.copies.filter(
+      (c) => c.status === CopyStatus.BORROWED
+    );
+    const copy = options.barcode
+      ? this.findCopy(book, options.barcode)
+      : borrowed.find((c) => this.loans.get(c.barcode)?.userId === userId) ||
+        (options.anyBorrower ? borrowed[0] : undefined);
+
+    if (!copy && borrowed.length > 0) {
+      throw new Error("No active loan found");
+    }
+    if (!copy || copy.status !== CopyStatus.BORROWED) {
+      throw new Error("Book is already in library");
+    }
+
+    const now = this.clock();
+    const loan = this.loans.get(copy.barcode);
+    if (loan && loan.userId !== userId && !options.anyBorrower) {
+      throw new Error("No active loan found");
+    }
+    this.loans.delete(copy.barcode);
+    this.save("loans", copy.barcode);
+    this.audit("loan.return", "loan", copy.barcode, loan, null);
+
+    // The return closes the borrower's loan, whoever checks the copy in.
+    const borrower = loan?.userId ?? userId;
+    if (this.borrowHistory.has(borrower)) {
+      this.recordHistory(borrower, {
+        isbn,
+        barcode: copy.barcode,
+        action: "return",
+        timestamp: now,
+      });
+    }
+
+    if (loan && loan.isOverdue(now)) {
+      this.chargeLateFine(loan, now);
+    }
+
+    this.allocateCopy(copy);
+
+    return book;
+  }
+
+  reportLost(isbn, userId = "anonymous", options = {}) {
+    isbn = isbnKey(isbn);
+    this.performanceMetrics.operations++;
+    const book = this.books.get(isbn);
+
+    if (!book) {
+      throw new Error("Book not found");
+    }
+    this.checkVersion(book, options.expectedVersion);
+
+    const loan = options.barcode
+      ? this.loans.get(this.findCopy(book, options.barcode).barcode)
+      : this.getUserLoans(userId).find((l) => l.isbn === isbn);
+
+    if (!loan || loan.userId !== userId) {
+      throw new Error("No active loan found");
+    }
+
+    const now = this.clock();
+    this.copies.get(loan.barcode).status = CopyStatus.LOST;
+    this.loans.delete(loan.barcode);
+    this.touchBook(book);
+    this.save("loans", loan.barcode);
+    this.audit("loan.lost", "loan", loan.barcode, loan, null);
+
+    this.recordHistory(userId, {
+      isbn,
+      barcode: loan.barcode,
+      action: "lost",
+      timestamp: now,
+    });
+
+    if (loan.isOverdue(now)) {
+      this.chargeLateFine(loan, now);
+    }
+    this.addLedgerEntry(userId, LedgerEntryType.CHARGE, {
+      amount: this.config.fines.lostItemFee,
+      reason: "Lost item",
+      isbn,
+      barcode: loan.barcode,
+    });
+
+    return book;
+  }
+
+  placeHold(isbn, userId = "anonymous", options = {}) {
+    isbn = isbnKey(isbn);
+    this.performanceMetrics.operations++;
+    const book = this.books.get(isbn);
+
+    if (!book) {
+      throw new Error("Book not found");
+    }
+
+    this.checkVersion(book, options.expectedVersion);
+    this.checkMemberStanding(userId);
+    this.expireHolds(isbn);
+
+    if (book.isAvailable) {
+      throw new Error("Book is available to borrow");
+    }
+    if (this.getUserLoans(userId).some((loan) => loan.isbn === isbn)) {
+      throw new Error("User already has this book on loan");
+    }
+    if (this.findHold(isbn, userId)) {
+      throw new Error("Hold already placed");
+    }
+
+    const now = this.clock();
+    const hold = new Hold(isbn, userId, now);
+
+    if (!this.holds.has(isbn)) {
+      this.holds.set(isbn, []);
+    }
+    this.holds.get(isbn).push(hold);
+    this.save("holds", isbn);
+    this.recordHoldEvent(hold, "hold", now);
+
+    return hold;
+  }
+
+  cancelHold(isbn, userId = "anonymous", options = {}) {
+    isbn = isbnKey(isbn);
+    this.performanceMetrics.operations++;
+    const hold = this.findHold(isbn, userId);
+
+    if (!hold) {
+      throw new Error("Hold not found");
+    }
+    this.checkVersion(this.getBook(isbn), options.expectedVersion);
+
+    this.removeHold(hold);
+    this.recordHoldEvent(hold, "hold-cancel", this.clock());
+
+    if (hold.status === HoldStatus.READY) {
+      this.allocateCopy(this.copies.get(hold.barcode));
+    }
+
+    return hold;
+  }
+
+  getHoldQueue(isbn) {
+    isbn = isbnKey(isbn);
+    this.expireHolds(isbn);
+    return [...(this.holds.get(isbn) || [])];
+  }
+
+  getUserHolds(userId) {
+    this.expireHolds();
+    return Array.from(this.holds.values())
+      .flat()
+      .filter((hold) => hold.userId === userId);
+  }
+
+  // Ready holds that were not picked up in time are dropped and their copy is
+  // passed on to the next patron in the queue, or back onto the shelf.
+  expireHolds(isbn) {
+    const now = this.clock();
+    const queues = isbn
+      ? [this.holds.get(isbn) || []]
+      : Array.from(this.holds.values());
+
+    const expired = queues
+      .flat()
+      .filter(
+        (hold) => hold.status === HoldStatus.READY && now > hold.expiresAt
+      );
+
+    expired.forEach((hold) => {
+      this.removeHold(hold);
+      this.recordHoldEvent(hold, "hold-expire", now);
+      this.allocateCopy(this.copies.get(hold.barcode));
+    });
+
+    return expired;
+  }
+
+  findHold(isbn, userId) {
+    return (this.holds.get(isbn) || []).find((hold) => hold.userId === userId);
+  }
+
+  removeHold(hold) {
+    const queue = this.holds.get(hold.isbn).filter((h) => h !== hold);
+    if (queue.length > 0) {
+      this.holds.set(hold.isbn, queue);
+    } else {
+      this.holds.delete(hold.isbn);
+    }
+    this.save("holds", hold.isbn);
+  }
+
+  allocateCopy(copy) {
+    const next = (this.holds.get(copy.isbn) || []).find(
+      (hold) => hold.status === HoldStatus.WAITING
+    );
+
+    if (!next) {
+      copy.status = CopyStatus.AVAILABLE;
+      copy.heldFor = null;
+      this.touchBook(this.books.get(copy.isbn));
+      return;
+    }
+
+    const now = this.clock();
+    copy.status = CopyStatus.HELD;
+    copy.heldFor = next.userId;
+    next.status = HoldStatus.READY;
+    next.barcode = copy.barcode;
+    next.expiresAt = new Date(
+      now.getTime() + this.config.holdPickupDays * DAY_MS
+    );
+    this.touchBook(this.books.get(copy.isbn));
+    this.save("holds", copy.isbn);
+    this.recordHoldEvent(next, "hold-ready", now);
+  }
+
+  recordHoldEvent(hold, action, timestamp) {
+    const { auditAction, removed } = HOLD_AUDIT_ACTIONS[action];
+    this.audit(
+      auditAction,
+      "hold",
+      `${hold.isbn}:${hold.userId}`,
+      removed ? hold : null,
+      removed ? null : hold
+    );
+    this.recordHistory(hold.userId, {
+      isbn: hold.isbn,
+      barcode: hold.barcode,
+      action,
+      timestamp,
+    });
+  }
+
+  renewLoan(isbn, userId = "anonymous", options = {}) {
+    isbn = isbnKey(isbn);
+    this.performanceMetrics.operations++;
+    const book = this.books.get(isbn);
+
+    if (!book) {
+      throw new Error("Book not found");
+    }
+
+    this.checkVersion(book, options.expectedVersion);
+    const loan = options.barcode
+      ? this.loans.get(this.findCopy(book, options.barcode).barcode)
+      : this.getUserLoans(userId).find((l) => l.isbn === isbn);
+
+    if (!loan || loan.userId !== userId) {
+      throw new Error("No active loan found");
+    }
+    this.checkMemberStanding(userId, { renewing: true });
+    if (loan.renewals >= this.config.maxRenewals) {
+      throw new Error("Renewal limit reached");
+    }
+    // Renewing would move the due date past the days already overdue, so
+    // their fine would never be charged. The book has to be returned.
+    const now = this.clock();
+    if (loan.isOverdue(now)) {
+      throw new LibraryError("Overdue loans cannot be renewed", "LOAN_OVERDUE");
+    }
+    if (this.holds.has(isbn)) {
+      throw new Error("Cannot renew a book with pending holds");
+    }
+
+    // Renewals run a fresh loan period from the day of renewal.
+    const before = { ...loan };
+    loan.dueDate = new Date(
+      now.getTime() + this.config.loanPeriodDays * DAY_MS
+    );
+    loan.renewals++;
+    this.save("loans", loan.barcode);
+    this.audit("loan.renew", "loan", loan.barcode, before, loan);
+
+    this.recordHistory(userId, {
+      isbn,
+      barcode: loan.barcode,
+      action: "renew",
+      timestamp: now,
+      dueDate: loan.dueDate,
+    });
+
+    return loan;
+  }
+
+  getLoan(barcode) {
+    return this.loans.get(barcode);
+  }
+
+  getUserLoans(userId) {
+    return Array.from(this.loans.values()).filter(
+      (loan) => loan.userId === userId
+    );
+  }
+
+  getOverdueLoans(userId) {
+    const now = this.clock();
+    const loans = userId
+      ? this.getUserLoans(userId)
+      : Array.from(this.loans.values());
+
+    return loans
+      .filter((loan) => loan.isOverdue(now))
+      .sort((a, b) => a.dueDate - b.dueDate)
+      .map((loan) => ({ ...loan, daysOverdue: loan.daysOverdue(now) }));
+  }
+
+  registerMember(id, name, type = MemberType.STUDENT, expiresAt) {
+    if (!id || !name) {
+      throw new Error("Member id and name are required");
+    }
+    this.checkId(id, "Member id");
+    if (!this.config.memberTypes[type]) {
+      throw new LibraryError(
+        `Unknown member type: ${type}`,
+        "INVALID_MEMBER_TYPE"
+      );
+    }
+    if (this.members.has(id)) {
+      throw new LibraryError(
+        "Member with this id already exists",
+        "MEMBER_EXISTS"
+      );
+    }
+
+    this.checkMemberName(name);
+    const now = this.clock();
+    const member = new Member(
+      id,
+      name,
+      type,
+      now,
+      expiresAt
+        ? this.membershipExpiry(expiresAt)
+        : new Date(now.getTime() + this.config.membershipDays * DAY_MS)
+    );
+    this.members.set(id, member);
+    this.save("members", id);
+    this.audit("member.register", "member", id, null, member);
+    return member;
+  }
+
+  checkMemberName(name) {
+    if (typeof name !== "string" || name.trim() === "") {
+      throw new LibraryError("Member name is required", "INVALID_MEMBER");
+    }
+  }
+
+  // An Invalid Date would never expire in memory but is stored as null, which
+  // reloads as 1970 and expires the member on the next restart.
+  membershipExpiry(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new LibraryError(
+        `Invalid membership expiry date: ${value}`,
+        "INVALID_MEMBER"
+      );
+    }
+    return date;
+  }
+
+  getMember(id) {
+    const member = this.members.get(id);
+    if (!member) {
+      throw new LibraryError("Member not found", "MEMBER_NOT_FOUND");
+    }
+    return member;
+  }
 
-    return metrics;
+  getMembers() {
+    return Array.from(this.members.values());
   }
 
-  addBook(isbn, title, author, publicationYear) {
-    return this.trackPerformance("addBook", () => {
-      if (!isbn || !title || !author || !publicationYear) {
-        throw new Error("All book details are required");
-      }
+  updateMember(id, { name, type, expiresAt } = {}) {
+    const member = this.getMember(id);
 
-      const currentYear = new Date().getFullYear();
-      if (publicationYear < 1900 || publicationYear > currentYear) {
-        throw new Error("Invalid publication year");
-      }
+    if (type !== undefined && !this.config.memberTypes[type]) {
+      throw new LibraryError(
+        `Unknown member type: ${type}`,
+        "INVALID_MEMBER_TYPE"
+      );
+    }
 
-      if (this.books.has(isbn)) {
-        throw new Error("Book with this ISBN already exists");
-      }
+    if (name !== undefined) this.checkMemberName(name);
+    const expiry =
+      expiresAt === undefined ? undefined : this.membershipExpiry(expiresAt);
+
+    const before = { ...member };
+    if (name !== undefined) member.name = name;
+    if (type !== undefined) member.type = type;
+    if (expiry !== undefined) member.expiresAt = expiry;
+    this.save("members", id);
+    this.audit("member.update", "member", id, before, member);
+    return member;
+  }
 
-      const book = new Book(isbn, title, author, publicationYear);
-      this.books.set(isbn, book);
-      return book;
-    });
+  suspendMember(id, reason = null) {
+    const member = this.getMember(id);
+    const before = { ...member };
+    member.suspended = true;
+    member.suspensionReason = reason;
+    this.save("members", id);
+    this.audit("member.suspend", "member", id, before, member);
+    return member;
   }
 
-  addBookWithCategory(isbn, title, author, year, category) {
-    const book = this.addBook(isbn, title, author, year);
-    if (!this.categories.has(category)) {
-      this.categories.set(category, new Set());
-    }
-    this.categories.get(category).add(isbn);
-    return book;
+  reinstateMember(id) {
+    const member = this.getMember(id);
+    const before = { ...member };
+    member.suspended = false;
+    member.suspensionReason = null;
+    this.save("members", id);
+    this.audit("member.reinstate", "member", id, before, member);
+    return member;
   }
 
-  borrowBook(isbn, userId = "anonymous") {
-    this.performanceMetrics.operations++;
-    const book = this.books.get(isbn);
+  renewMembership(id) {
+    const member = this.getMember(id);
+    const now = this.clock();
+    const before = { ...member };
+    const from = member.isExpired(now) ? now : member.expiresAt;
+    member.expiresAt = new Date(
+      from.getTime() + this.config.membershipDays * DAY_MS
+    );
+    this.save("members", id);
+    this.audit("member.renew", "member", id, before, member);
+    return member;
+  }
 
-    if (!book) {
-      throw new Error("Book not found");
-    }
-    if (!book.isAvailable) {
-      throw new Error("Book is not available");
+  deleteMember(id) {
+    const member = this.getMember(id);
+    if (this.getUserLoans(id).length > 0) {
+      throw new Error("Cannot delete member with active loans");
     }
+    this.members.delete(id);
+    this.save("members", id);
+    this.audit("member.delete", "member", id, member, null);
+    return true;
+  }
 
-    book.isAvailable = false;
+  chargeLateFine(loan, now) {
+    const amount = calculateLateFine(loan.daysOverdue(now), this.config.fines);
+    if (amount > 0) {
+      this.addLedgerEntry(loan.userId, LedgerEntryType.CHARGE, {
+        amount,
+        reason: "Late return",
+        isbn: loan.isbn,
+        barcode: loan.barcode,
+      });
+    }
+  }
 
-    if (!this.borrowHistory.has(userId)) {
-      this.borrowHistory.set(userId, []);
+  addLedgerEntry(userId, type, { amount, reason = null, isbn, barcode }) {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new Error("Amount must be a positive number of cents");
+    }
+    if (!this.ledger.has(userId)) {
+      this.ledger.set(userId, []);
     }
 
-    this.borrowHistory.get(userId).push({
+    const entries = this.ledger.get(userId);
+    const entry = {
+      id: entries.length + 1,
+      type,
+      amount,
+      reason,
       isbn,
-      action: "borrow",
-      timestamp: new Date(),
-    });
+      barcode,
+      timestamp: this.clock(),
+    };
+    entries.push(entry);
+    this.save("ledger", userId);
+    this.audit(`ledger.${type}`, "ledger", userId, null, entry);
+    return entry;
+  }
 
-    return book;
+  getLedger(userId) {
+    return this.ledger.get(userId) || [];
   }
 
-  returnBook(isbn, userId = "anonymous") {
-    this.performanceMetrics.operations++;
-    const book = this.books.get(isbn);
+  getBalance(userId) {
+    return this.getLedger(userId).reduce(
+      (balance, entry) =>
+        entry.type === LedgerEntryType.CHARGE
+          ? balance + entry.amount
+          : balance - entry.amount,
+      0
+    );
+  }
 
-    if (!book) {
-      throw new Error("Book not found");
-    }
-    if (book.isAvailable) {
-      throw new Error("Book is already in library");
+  recordPayment(userId, amount, note = null) {
+    if (amount > this.getBalance(userId)) {
+      throw new Error("Payment exceeds outstanding balance");
     }
+    return this.addLedgerEntry(userId, LedgerEntryType.PAYMENT, {
+      amount,
+      reason: note,
+    });
+  }
 
-    book.isAvailable = true;
+  waiveFine(userId, amount, reason = null) {
+    if (amount > this.getBalance(userId)) {
+      throw new Error("Waiver exceeds outstanding balance");
+    }
+    return this.addLedgerEntry(userId, LedgerEntryType.WAIVER, {
+      amount,
+      reason,
+    });
+  }
 
-    if (this.borrowHistory.has(userId)) {
-      this.borrowHistory.get(userId).push({
-        isbn,
-        action: "return",
-        timestamp: new Date(),
-      });
+  // Unregistered user ids are only refused when membership is required, so
+  // libraries that do not keep a member registry can still lend by name.
+  // Borrowing also checks the member's loan limit; borrowing and renewing
+  // are both blocked by outstanding fines.
+  checkMemberStanding(userId, { borrowing = false, renewing = false } = {}) {
+    this.checkId(userId, "User id");
+    if (
+      (borrowing || renewing) &&
+      this.getBalance(userId) >= this.config.fines.blockingBalance
+    ) {
+      throw new LibraryError(
+        "Outstanding fines exceed the borrowing limit",
+        "FINES_OUTSTANDING"
+      );
     }
 
-    return book;
+    const member = this.members.get(userId);
+
+    if (!member) {
+      if (this.config.requireMembership) {
+        throw new LibraryError("Member not found", "MEMBER_NOT_FOUND");
+      }
+      return;
+    }
+    if (member.suspended) {
+      throw new LibraryError("Member is suspended", "MEMBER_SUSPENDED");
+    }
+    if (member.isExpired(this.clock())) {
+      throw new LibraryError("Membership has expired", "MEMBERSHIP_EXPIRED");
+    }
+    if (
+      borrowing &&
+      this.getUserLoans(userId).length >=
+        this.config.memberTypes[member.type].maxLoans
+    ) {
+      throw new LibraryError(
+        "Borrowing limit reached",
+        "BORROWING_LIMIT_REACHED"
+      );
+    }
   }
 
-  deleteBook(isbn) {
+  deleteBook(isbn, { expectedVersion } = {}) {
+    isbn = isbnKey(isbn);
     this.performanceMetrics.operations++;
-    const book = this.books.get(isbn);
+    const book = this.getBook(isbn);
+    this.checkVersion(book, expectedVersion);
 
-    if (!book) {
-      throw new Error("Book not found");
-    }
-    if (!book.isAvailable) {
-      throw new Error("Cannot delete borrowed book");
+    if (book.copies.some((copy) => copy.isInUse)) {
+      throw new LibraryError("Cannot delete borrowed book", "BOOK_IN_USE");
     }
+    const before = {
+      ...book.toJSON(),
+      categories: this.getBookCategories(isbn),
+      holds: this.holds.get(isbn) || [],
+    };
 
     // Remove from categories
-    this.categories.forEach((categoryBooks) => {
-      categoryBooks.delete(isbn);
+    this.categories.forEach((categoryBooks, category) => {
+      if (categoryBooks.delete(isbn)) {
+        this.save("categories", category);
+      }
     });
 
-    return this.books.delete(isbn);
+    book.copies.forEach((copy) => this.copies.delete(copy.barcode));
+    this.holds.delete(isbn);
+    this.save("holds", isbn);
+
+    this.books.delete(isbn);
+    this.searchIndex.remove(isbn);
+    this.save("books", isbn);
+    this.audit("book.delete", "book", isbn, before, null);
+    return true;
+  }
+
+  // Listings report availability, so holds left uncollected are released
+  // first rather than waiting for the next borrow or hold on the book.
+  getBooks(options = {}) {
+    this.performanceMetrics.operations++;
+    this.expireHolds();
+    return this.listBooks(Array.from(this.books.values()), options);
   }
 
-  getAvailableBooks() {
+  getAvailableBooks(options = {}) {
     this.performanceMetrics.operations++;
-    return Array.from(this.books.values()).filter((book) => book.isAvailable);
+    this.expireHolds();
+    return this.listBooks(
+      Array.from(this.books.values()).filter((book) => book.isAvailable),
+      options
+    );
+  }
+
+  // Applies the `category`, `year` and `available` filters and the `sort`
+  // ("title", "author", "year" or "popularity") and `order` options shared by
+  // the catalog listings. Without a sort the given order is kept.
+  listBooks(books, options = {}) {
+    const { sort, order } = options;
+    const filters = parseFilters(options);
+    const categoryIsbns = this.categoryFilterIsbns(filters);
+    const listed = books.filter((book) =>
+      this.matchesSearchFilters(book, filters, categoryIsbns)
+    );
+    if (!sort) return listed;
+
+    let compare = BOOK_SORTS[sort];
+    let descending = order === "desc";
+    if (sort === "popularity") {
+      const counts = this.getBorrowCounts();
+      compare = (a, b) => (counts.get(a.isbn) || 0) - (counts.get(b.isbn) || 0);
+      descending = order !== "asc";
+    }
+    if (!compare) {
+      throw new LibraryError(`Unknown sort: ${sort}`, "INVALID_QUERY");
+    }
+    if (order !== undefined && !["asc", "desc"].includes(order)) {
+      throw new LibraryError(`Unknown sort order: ${order}`, "INVALID_QUERY");
+    }
+
+    return listed.sort(
+      (a, b) =>
+        (descending ? compare(b, a) : compare(a, b)) ||
+        a.title.localeCompare(b.title)
+    );
+  }
+
+  getBorrowCounts() {
+    return new Map(this.analytics.totals.popularBooks);
   }
 
-  searchBooks(query) {
+  searchBooks(query, options = {}) {
     return this.trackPerformance("searchBooks", () => {
       this.performanceMetrics.operations++;
       if (!query) return [];
+      this.expireHolds();
+
+      // A query in either ISBN form finds the book stored under its ISBN-13.
+      const exact = this.books.get(parseIsbn(query));
+      if (exact) return this.listBooks([exact], options);
+
+      const { terms, filters } = parseQuery(query);
+      const scores = this.searchIndex.search(terms);
+      if (!scores && !this.hasSearchFilters(filters)) return [];
+
+      const candidates = scores
+        ? Array.from(scores.keys(), (isbn) => this.books.get(isbn))
+        : Array.from(this.books.values());
+      const categoryIsbns = this.categoryFilterIsbns(filters);
+      const ranked = candidates
+        .filter((book) =>
+          this.matchesSearchFilters(book, filters, categoryIsbns)
+        )
+        .sort(
+          (a, b) =>
+            (scores ? scores.get(b.isbn) - scores.get(a.isbn) : 0) ||
+            a.title.localeCompare(b.title)
+        );
+      return this.listBooks(ranked, options);
+    });
+  }
 
-      const searchTerm = query.toLowerCase();
-      return Array.from(this.books.values()).filter(
-        (book) =>
-          book.title.toLowerCase().includes(searchTerm) ||
-          book.author.toLowerCase().includes(searchTerm) ||
-          book.isbn.toLowerCase().includes(searchTerm) ||
-          book.publicationYear.toString().includes(searchTerm)
-      );
+  hasSearchFilters(filters) {
+    return (
+      filters.years.length > 0 ||
+      filters.categories.length > 0 ||
+      filters.languages.length > 0 ||
+      filters.subjects.length > 0 ||
+      filters.publishers.length > 0 ||
+      filters.available !== undefined
+    );
+  }
+
+  // The ISBNs each category filter matches, resolved once per query so that
+  // testing a book is a set lookup. Category names are compared the same way
+  // search terms are, so `category:fantasy` finds books filed under
+  // "Fantasy". A category also matches the books in its subcategories.
+  categoryFilterIsbns(filters) {
+    return filters.categories.map((folded) => {
+      const isbns = new Set();
+      this.categories.forEach((_, name) => {
+        if (foldText(name) !== folded) return;
+        this.getCategoryDescendants(name).forEach((category) =>
+          this.categories.get(category).forEach((isbn) => isbns.add(isbn))
+        );
+      });
+      return isbns;
     });
   }
 
-  getBooksByCategory(category) {
-    const bookIds = this.categories.get(category) || new Set();
+  // `categoryIsbns` comes from categoryFilterIsbns for the same filters.
+  matchesSearchFilters(book, filters, categoryIsbns) {
+    return (
+      filters.years.every(
+        ({ from, to }) =>
+          book.publicationYear >= from && book.publicationYear <= to
+      ) &&
+      categoryIsbns.every((isbns) => isbns.has(book.isbn)) &&
+      filters.languages.every(
+        (language) =>
+          book.language === language ||
+          Boolean(book.language?.startsWith(`${language}-`))
+      ) &&
+      filters.subjects.every((subject) =>
+        book.subjects.some((own) => foldText(own) === subject)
+      ) &&
+      filters.publishers.every(
+        (publisher) => book.publisher && foldText(book.publisher) === publisher
+      ) &&
+      (filters.available === undefined ||
+        book.isAvailable === filters.available)
+    );
+  }
+
+  getCategories() {
+    return Array.from(this.categories.keys(), (name) => this.getCategory(name));
+  }
+
+  getBooksByCategory(category, { includeDescendants = false } = {}) {
+    const names = includeDescendants
+      ? this.getCategoryDescendants(category)
+      : [category];
+    const bookIds = new Set(
+      names.flatMap((name) => Array.from(this.categories.get(name) || []))
+    );
     return Array.from(bookIds)
       .map((isbn) => this.books.get(isbn))
       .filter((book) => book !== undefined);
@@ -200,109 +1724,347 @@ export class Library {
     return this.borrowHistory.get(userId) || [];
   }
 
+  exportData() {
+    return {
+      schemaVersion: EXPORT_SCHEMA_VERSION,
+      exportedAt: this.clock(),
+      ...Object.fromEntries(
+        PERSISTED_COLLECTIONS.map((collection) => [
+          collection,
+          this.serialize(collection),
+        ])
+      ),
+    };
+  }
+
   exportToJSON() {
-    return JSON.stringify({
-      books: Array.from(this.books.entries()),
-      categories: Array.from(this.categories.entries()),
-      borrowHistory: Array.from(this.borrowHistory.entries()),
+    return JSON.stringify(this.exportData());
+  }
+
+  // "replace" swaps the whole library for the export; "merge" adds it to the
+  // existing catalog, resolving ISBNs present in both with `onConflict`
+  // ("skip", "overwrite" or "fail"). Nothing changes unless every record is
+  // valid.
+  importData(data, { mode = "replace", onConflict = "fail" } = {}) {
+    if (!["replace", "merge"].includes(mode)) {
+      throw new LibraryError(`Unknown import mode: ${mode}`, "INVALID_IMPORT");
+    }
+    if (!["skip", "overwrite", "fail"].includes(onConflict)) {
+      throw new LibraryError(
+        `Unknown conflict policy: ${onConflict}`,
+        "INVALID_IMPORT"
+      );
+    }
+
+    const state = normalizeExportIsbns(migrateExport(data));
+    const errors = validateExport(state, {
+      isbnMode: this.config.isbnMode,
+      memberTypes: this.config.memberTypes,
+    });
+    if (errors.length === 0 && mode === "merge") {
+      errors.push(...this.findMergeConflicts(state, onConflict));
+    }
+    if (errors.length > 0) {
+      throw new ImportValidationError(errors);
+    }
+
+    let report;
+    if (mode === "replace") {
+      this.restore(state);
+      this.saveAll();
+      report = {
+        mode,
+        books: { added: this.books.size, overwritten: 0, skipped: 0 },
+      };
+    } else {
+      report = { mode, books: this.mergeState(state, onConflict) };
+    }
+
+    this.audit("catalog.import", "catalog", null, null, {
+      ...report,
+      onConflict,
     });
+    return report;
   }
 
-  importFromJSON(jsonData) {
-    const data = JSON.parse(jsonData);
-    this.books = new Map(data.books);
-    this.categories = new Map(data.categories);
-    this.borrowHistory = new Map(data.borrowHistory);
+  importFromJSON(jsonData, options) {
+    this.importData(JSON.parse(jsonData), options);
     return true;
   }
 
-  getBorrowingStats() {
+  // Adds each row independently so one bad record does not abort the rest;
+  // failures are reported with the row they came from.
+  importBooks(rows) {
+    const report = { imported: 0, errors: [] };
+
+    // A row that could not be parsed carries its `error` instead of fields.
+    rows.forEach(({ row, error, categories = [], ...fields }) => {
+      try {
+        if (error) throw error;
+        const book = this.addBook(
+          fields.isbn,
+          fields.title,
+          fields.author,
+          fields.publicationYear,
+          fields.copies ?? 1
+        );
+        categories.forEach((category) =>
+          this.addToCategory(category, book.isbn)
+        );
+        report.imported++;
+      } catch (error) {
+        report.errors.push({ row, isbn: fields.isbn, error: error.message });
+      }
+    });
+
+    this.audit("catalog.import", "catalog", null, null, {
+      imported: report.imported,
+      failed: report.errors.length,
+    });
+    return report;
+  }
+
+  exportToCSV() {
+    return writeCatalogCSV(Array.from(this.books.values()), (isbn) =>
+      this.getBookCategories(isbn)
+    );
+  }
+
+  importFromCSV(text, options = {}) {
+    return this.importBooks(readCatalogCSV(text, options.columns));
+  }
+
+  // "binary" is ISO 2709 (.mrc) returned as a Buffer; "xml" is MARCXML.
+  exportToMARC(format = "binary") {
+    const records = Array.from(this.books.values()).map((book) =>
+      bookToMarc(book, this.getBookCategories(book.isbn))
+    );
+    return format === "xml" ? toMarcXml(records) : encodeMarc(records);
+  }
+
+  importFromMARC(data, format = "binary") {
+    // Binary records are decoded one by one, so a malformed record is
+    // reported as a failed row and the rest are still imported.
+    const decoders =
+      format === "xml"
+        ? fromMarcXml(String(data)).map((record) => () => record)
+        : splitMarc(Buffer.from(data)).map(
+            (chunk) => () => decodeRecord(chunk)
+          );
+    return this.importBooks(
+      decoders.map((decode, index) => {
+        try {
+          return { row: index + 1, ...marcToBook(decode()) };
+        } catch (error) {
+          return { row: index + 1, error };
+        }
+      })
+    );
+  }
+
+  findMergeConflicts(state, onConflict) {
+    const errors = [];
+
+    (state.books || []).forEach(([isbn, book], index) => {
+      const existing = this.books.get(isbn);
+      const path = `books[${index}]`;
+
+      if (existing && onConflict === "fail") {
+        errors.push({ path, message: `Book already exists: ${isbn}` });
+      }
+      if (existing && onConflict === "skip") {
+        return;
+      }
+      if (existing && existing.copies.some((copy) => copy.isInUse)) {
+        errors.push({
+          path,
+          message: `Cannot overwrite book with copies in use: ${isbn}`,
+        });
+      }
+      book.copies.forEach((copy, copyIndex) => {
+        const local = this.copies.get(copy.barcode);
+        if (local && local.isbn !== isbn) {
+          errors.push({
+            path: `${path}.copies[${copyIndex}].barcode`,
+            message: `Barcode already in use: ${copy.barcode}`,
+          });
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  mergeState(state, onConflict) {
+    const incoming = new Library();
+    incoming.restore(state);
+
+    const report = { added: 0, overwritten: 0, skipped: 0 };
+    const imported = new Set();
+
+    incoming.books.forEach((book, isbn) => {
+      const existing = this.books.get(isbn);
+      if (existing && onConflict === "skip") {
+        report.skipped++;
+        return;
+      }
+      if (existing) {
+        existing.copies.forEach((copy) => this.copies.delete(copy.barcode));
+        // Versions only move forward, so clients holding the old record see
+        // their writes rejected.
+        book.version = Math.max(book.version, existing.version + 1);
+        report.overwritten++;
+      } else {
+        report.added++;
+      }
+
+      this.books.set(isbn, book);
+      this.searchIndex.add(book);
+      book.copies.forEach((copy) => this.copies.set(copy.barcode, copy));
+      this.save("books", isbn);
+      imported.add(isbn);
+    });
+
+    incoming.categories.forEach((isbns, name) => {
+      const added = Array.from(isbns).filter((isbn) => imported.has(isbn));
+      if (added.length === 0) return;
+      if (!this.categories.has(name)) {
+        this.categories.set(name, new Set());
+      }
+      added.forEach((isbn) => this.categories.get(name).add(isbn));
+      this.save("categories", name);
+    });
+    // Nesting is kept for categories without a parent here, unless it would
+    // form a cycle.
+    incoming.categoryParents.forEach((parent, name) => {
+      if (
+        this.categories.has(name) &&
+        this.categories.has(parent) &&
+        !this.categoryParents.has(name) &&
+        !this.getCategoryDescendants(name).includes(parent)
+      ) {
+        this.setCategoryParent([name], parent);
+      }
+    });
+
+    // Loans and holds travel with the books they belong to.
+    incoming.loans.forEach((loan, barcode) => {
+      if (imported.has(loan.isbn)) {
+        this.loans.set(barcode, loan);
+        this.save("loans", barcode);
+      }
+    });
+    incoming.holds.forEach((queue, isbn) => {
+      if (imported.has(isbn)) {
+        this.holds.set(isbn, queue);
+        this.save("holds", isbn);
+      }
+    });
+
+    incoming.members.forEach((member, id) => {
+      if (!this.members.has(id)) {
+        this.members.set(id, member);
+        this.save("members", id);
+      }
+    });
+
+    this.mergeRecords(
+      "borrowHistory",
+      incoming.borrowHistory,
+      (record) =>
+        `${record.isbn}|${record.action}|${record.timestamp.getTime()}`
+    );
+    this.rebuildAnalytics();
+    this.mergeRecords(
+      "ledger",
+      incoming.ledger,
+      (entry) => `${entry.type}|${entry.amount}|${entry.timestamp.getTime()}`,
+      { renumber: true }
+    );
+
+    return report;
+  }
+
+  // Appends per-user records that are not already present, so importing the
+  // same export twice does not duplicate history.
+  mergeRecords(collection, incoming, keyOf, { renumber = false } = {}) {
+    incoming.forEach((records, userId) => {
+      const existing = this[collection].get(userId) || [];
+      const seen = new Set(existing.map(keyOf));
+      const added = records.filter((record) => !seen.has(keyOf(record)));
+      if (renumber) {
+        added.forEach((record, index) => {
+          record.id = existing.length + index + 1;
+        });
+      }
+      if (added.length > 0) {
+        this[collection].set(userId, [...existing, ...added]);
+        this.save(collection, userId);
+      }
+    });
+  }
+
+  // Statistics over the borrows in a timeframe (see resolveTimeframe), with
+  // trends bucketed in the configured analytics time zone by default. The
+  // counts come from the incrementally maintained aggregates.
+  getBorrowingStats({ timeZone, ...timeframe } = {}) {
+    const window = resolveTimeframe(
+      { ...timeframe, timeZone: timeZone ?? this.config.analytics.timeZone },
+      this.clock()
+    );
+    const totals = this.analytics.totalsFor(window);
+    const recentSince = new Date(
+      (window.to || this.clock()).getTime() -
+        this.config.analytics.recentDays * DAY_MS
+    );
+
     const stats = {
-      totalBorrows: 0,
-      activeLoans: 0,
-      popularBooks: new Map(),
-      averageLoanDuration: 0,
+      timeframe: window,
+      totalBorrows: totals.totalBorrows,
+      activeLoans: this.loans.size,
+      popularBooks: new Map(totals.popularBooks),
+      averageLoanDuration:
+        totals.totalReturns > 0
+          ? totals.totalDuration / totals.totalReturns
+          : 0,
       popularityTrends: {
-        daily: new Map(),
-        weekly: new Map(),
-        monthly: new Map(),
+        daily: new Map(totals.popularityTrends.daily),
+        weekly: new Map(totals.popularityTrends.weekly),
+        monthly: new Map(totals.popularityTrends.monthly),
       },
       genrePopularity: new Map(),
+      recentBorrows: this.analytics.countBorrows({
+        from:
+          window.from && window.from > recentSince ? window.from : recentSince,
+        to: window.to,
+      }),
     };
 
-    let totalDuration = 0;
-    let totalReturns = 0;
-
-    this.borrowHistory.forEach((history) => {
-      let lastBorrowDate = null;
-
-      history.forEach((record) => {
-        const timestamp = new Date(record.timestamp);
-
-        if (record.action === "borrow") {
-          stats.totalBorrows++;
-          lastBorrowDate = timestamp;
-
-          // Update popularity counts
-          const count = stats.popularBooks.get(record.isbn) || 0;
-          stats.popularBooks.set(record.isbn, count + 1);
-
-          // Daily trends
-          const dayKey = timestamp.toISOString().split("T")[0];
-          const dailyCount = stats.popularityTrends.daily.get(dayKey) || 0;
-          stats.popularityTrends.daily.set(dayKey, dailyCount + 1);
-
-          // Weekly trends
-          const weekKey = this.getWeekNumber(timestamp);
-          const weeklyCount = stats.popularityTrends.weekly.get(weekKey) || 0;
-          stats.popularityTrends.weekly.set(weekKey, weeklyCount + 1);
-
-          // Monthly trends
-          const monthKey = `${timestamp.getFullYear()}-${
-            timestamp.getMonth() + 1
-          }`;
-          const monthlyCount =
-            stats.popularityTrends.monthly.get(monthKey) || 0;
-          stats.popularityTrends.monthly.set(monthKey, monthlyCount + 1);
-
-          // Genre popularity
-          const book = this.books.get(record.isbn);
-          if (book) {
-            for (const [category] of this.categories) {
-              if (
-                this.getBooksByCategory(category).some(
-                  (b) => b.isbn === book.isbn
-                )
-              ) {
-                const genreCount = stats.genrePopularity.get(category) || 0;
-                stats.genrePopularity.set(category, genreCount + 1);
-              }
-            }
-          }
-        } else if (record.action === "return" && lastBorrowDate) {
-          const duration = timestamp - lastBorrowDate;
-          totalDuration += duration;
-          totalReturns++;
-          lastBorrowDate = null;
-        }
+    // Genre popularity follows the books' current categories and rolls up
+    // to every parent category, counting each borrow once per category.
+    const categoriesOf = this.categoryIndex();
+    stats.popularBooks.forEach((count, isbn) => {
+      if (!this.books.has(isbn)) return;
+      this.withCategoryAncestors(categoriesOf(isbn)).forEach((category) => {
+        const genreCount = stats.genrePopularity.get(category) || 0;
+        stats.genrePopularity.set(category, genreCount + count);
       });
     });
 
-    stats.activeLoans = Array.from(this.books.values()).filter(
-      (book) => !book.isAvailable
-    ).length;
-
-    stats.averageLoanDuration =
-      totalReturns > 0 ? totalDuration / totalReturns : 0;
-
     // Sort and get top popular books
     stats.topBooks = Array.from(stats.popularBooks.entries())
       .sort((a, b) => b[1] - a[1])
       .slice(0, 10)
-      .map(([isbn, count]) => ({
-        book: this.books.get(isbn),
-        borrowCount: count,
-      }));
+      .map(([isbn, count]) => {
+        const book = this.books.get(isbn);
+        return {
+          isbn,
+          book,
+          borrowCount: count,
+          availableCopies: book ? book.availableCopies : 0,
+          totalCopies: book ? book.totalCopies : 0,
+        };
+      });
 
     // Calculate popularity scores
     stats.popularityScores = this.calculatePopularityScores(stats);
@@ -310,31 +2072,38 @@ export class Library {
     return stats;
   }
 
-  getWeekNumber(date) {
-    const d = new Date(
-      Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())
+  // Archived records first, as they are older than the working history kept
+  // under the same patron id.
+  analyticsHistory() {
+    const history = new Map(this.archive.records);
+    this.borrowHistory.forEach((records, userId) =>
+      history.set(userId, [...(history.get(userId) || []), ...records])
     );
-    const dayNum = d.getUTCDay() || 7;
-    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-    return `${d.getUTCFullYear()}-${Math.ceil(
-      ((d - yearStart) / 86400000 + 1) / 7
-    )}`;
+    return history;
+  }
+
+  // Recounts the analytics aggregates from the borrowing history, archive
+  // included.
+  rebuildAnalytics() {
+    return this.trackPerformance("rebuildAnalytics", () => {
+      this.analytics.rebuild(
+        this.analyticsHistory(),
+        this.config.analytics.timeZone
+      );
+      return {
+        totalBorrows: this.analytics.totals.totalBorrows,
+        totalReturns: this.analytics.totals.totalReturns,
+        timeZone: this.analytics.timeZone,
+      };
+    });
   }
 
   calculatePopularityScores(stats) {
     const scores = new Map();
-    const currentDate = new Date();
 
     this.books.forEach((book, isbn) => {
       const borrowCount = stats.popularBooks.get(isbn) || 0;
-      const recentBorrows = Array.from(stats.popularityTrends.daily.entries())
-        .filter(([date]) => {
-          const daysAgo =
-            (currentDate - new Date(date)) / (1000 * 60 * 60 * 24);
-          return daysAgo <= 30;
-        })
-        .reduce((sum, [_, count]) => sum + count, 0);
+      const recentBorrows = stats.recentBorrows.get(isbn) || 0;
 
       const score = {
         totalScore: borrowCount * 0.4 + recentBorrows * 0.6,
@@ -342,6 +2111,8 @@ export class Library {
           totalBorrows: borrowCount,
           recentBorrows,
           availability: book.isAvailable ? 1 : 0,
+          availableCopies: book.availableCopies,
+          totalCopies: book.totalCopies,
         },
       };
 
@@ -351,12 +2122,16 @@ export class Library {
     return scores;
   }
 
-  getPopularityAnalytics(timeframe = "all") {
+  // `timeframe` is a preset (`7d`, `30d`, `90d`, `year` or `all`); `from`,
+  // `to` and `timeZone` in `options` work as in getBorrowingStats. Bounded
+  // windows are compared with the period of the same length just before.
+  getPopularityAnalytics(timeframe = "all", options = {}) {
     return this.trackPerformance("analytics", () => {
-      const stats = this.getBorrowingStats();
-      const currentDate = new Date();
+      const stats = this.getBorrowingStats({ ...options, timeframe });
+      const { from, to, timeZone, previous } = stats.timeframe;
 
       const analytics = {
+        timeframe: { from, to, timeZone },
         topBooks: stats.topBooks,
         trendingGenres: Array.from(stats.genrePopularity.entries()).sort(
           (a, b) => b[1] - a[1]
@@ -366,9 +2141,35 @@ export class Library {
           weekly: Array.from(stats.popularityTrends.weekly.entries()),
           monthly: Array.from(stats.popularityTrends.monthly.entries()),
         },
+        inventory: Array.from(this.books.values()).map((book) => ({
+          isbn: book.isbn,
+          title: book.title,
+          availableCopies: book.availableCopies,
+          totalCopies: book.totalCopies,
+        })),
         recommendations: [],
+        comparison: null,
       };
 
+      if (previous) {
+        const before = this.getBorrowingStats({ ...previous, timeZone });
+        const change = stats.totalBorrows - before.totalBorrows;
+        analytics.comparison = {
+          from: previous.from,
+          to: previous.to,
+          totalBorrows: before.totalBorrows,
+          change,
+          changePercent:
+            before.totalBorrows > 0
+              ? Math.round((change / before.totalBorrows) * 1000) / 10
+              : null,
+        };
+        analytics.topBooks = stats.topBooks.map((entry) => ({
+          ...entry,
+          previousBorrowCount: before.popularBooks.get(entry.isbn) || 0,
+        }));
+      }
+
       // Generate recommendations based on popularity scores
       const scores = Array.from(stats.popularityScores.entries())
         .sort((a, b) => b[1].totalScore - a[1].totalScore)
@@ -381,6 +2182,119 @@ export class Library {
     });
   }
 
+  // Suggestions for one patron: books co-borrowed with what they have read,
+  // plus books in the categories they read most. Anything they have borrowed
+  // or hold is left out. Patrons without history get the most borrowed books.
+  getRecommendations(userId, options = {}) {
+    const graph = buildBorrowGraph(this.borrowHistory);
+    const read = graph.booksOf.get(userId) || new Set();
+    const categoriesOf = this.categoryIndex();
+    const candidates = new Map();
+    const candidate = (isbn) => {
+      if (!candidates.has(isbn)) {
+        candidates.set(isbn, { score: 0, coBorrowers: 0, categories: [] });
+      }
+      return candidates.get(isbn);
+    };
+
+    read.forEach((isbn) =>
+      coBorrowed(graph, isbn).forEach(({ similarity, coBorrowers }, other) => {
+        const entry = candidate(other);
+        entry.score += similarity;
+        entry.coBorrowers += coBorrowers;
+      })
+    );
+
+    const affinity = categoryAffinity(read, categoriesOf);
+    this.books.forEach((_, isbn) => {
+      const shared = categoriesOf(isbn).filter((name) => affinity.has(name));
+      if (shared.length === 0) return;
+      const entry = candidate(isbn);
+      entry.score +=
+        CATEGORY_WEIGHT * Math.max(...shared.map((name) => affinity.get(name)));
+      entry.categories = shared;
+    });
+
+    const excluded = new Set([
+      ...read,
+      ...this.getUserLoans(userId).map((loan) => loan.isbn),
+      ...this.getUserHolds(userId).map((hold) => hold.isbn),
+    ]);
+    excluded.forEach((isbn) => candidates.delete(isbn));
+
+    if (candidates.size === 0) {
+      graph.readers.forEach((_, isbn) => {
+        if (!excluded.has(isbn)) candidate(isbn);
+      });
+    }
+
+    return this.rankRecommendations(candidates, options);
+  }
+
+  // Books borrowed by the same patrons as `isbn`, or filed in the same
+  // categories.
+  getRelatedBooks(isbn, options = {}) {
+    const book = this.getBook(isbn);
+    const categoriesOf = this.categoryIndex();
+    const ownCategories = categoriesOf(book.isbn);
+
+    const candidates = new Map(
+      Array.from(
+        coBorrowed(buildBorrowGraph(this.borrowHistory), book.isbn),
+        ([other, { similarity, coBorrowers }]) => [
+          other,
+          { score: similarity, coBorrowers, categories: [] },
+        ]
+      )
+    );
+
+    this.books.forEach((_, other) => {
+      if (other === book.isbn) return;
+      const shared = categoriesOf(other).filter((name) =>
+        ownCategories.includes(name)
+      );
+      if (shared.length === 0) return;
+      if (!candidates.has(other)) {
+        candidates.set(other, { score: 0, coBorrowers: 0, categories: [] });
+      }
+      const entry = candidates.get(other);
+      entry.score += (CATEGORY_WEIGHT * shared.length) / ownCategories.length;
+      entry.categories = shared;
+    });
+
+    return this.rankRecommendations(candidates, options);
+  }
+
+  // `availableOnly` keeps books with a copy on the shelf; ties are broken by
+  // overall popularity.
+  rankRecommendations(candidates, { availableOnly = false, limit } = {}) {
+    const counts = this.getBorrowCounts();
+    const ranked = Array.from(candidates, ([isbn, entry]) => ({
+      book: this.books.get(isbn),
+      ...entry,
+      score: Math.round(entry.score * 1000) / 1000,
+    }))
+      .filter(({ book }) => book && (!availableOnly || book.isAvailable))
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          (counts.get(b.book.isbn) || 0) - (counts.get(a.book.isbn) || 0) ||
+          a.book.title.localeCompare(b.book.title)
+      );
+    return limit === undefined ? ranked : ranked.slice(0, limit);
+  }
+
+  categoryIndex() {
+    const index = new Map();
+    this.categories.forEach((isbns, name) =>
+      isbns.forEach((isbn) => {
+        if (!index.has(isbn)) index.set(isbn, []);
+        index.get(isbn).push(name);
+      })
+    );
+    return (isbn) => index.get(isbn) || [];
+  }
+
   getPerformanceMetrics() {
     const now = performance.now();
     const uptimeSeconds = (now - this.metrics.startTime) / 1000;
@@ -404,19 +2318,59 @@ export class Library {
     };
   }
 
-  optimizePerformance() {
-    const now = Date.now();
-    this.metrics.lastOptimization = now;
+  // Moves borrowing history older than the retention window into the
+  // archive. Patrons' ids are replaced with anonymous ones unless the policy
+  // says otherwise; the analytics totals stay the same either way. The audit
+  // log and the fine ledger are left alone: the log is append-only and the
+  // ledger needs patron ids for balances (see README).
+  applyRetention() {
+    return this.trackPerformance("applyRetention", () => {
+      const { historyDays, anonymize } = this.config.retention;
+      const cutoff = new Date(this.clock().getTime() - historyDays * DAY_MS);
+      const report = {
+        cutoff,
+        archivedRecords: 0,
+        patrons: 0,
+        anonymized: anonymize,
+      };
+
+      this.borrowHistory.forEach((records, userId) => {
+        const count = archivableCount(records, cutoff, {
+          hasOpenLoan: this.getUserLoans(userId).length > 0,
+        });
+        if (count === 0) return;
 
-    if (now - this.metrics.lastOptimization > 3600000) {
-      this.borrowHistory.forEach((history, userId) => {
-        const recentHistory = history.filter(
-          (record) => now - record.timestamp < 31536000000
+        this.archive.add(
+          anonymize ? anonymousId() : userId,
+          records.slice(0, count)
         );
-        if (recentHistory.length !== history.length) {
-          this.borrowHistory.set(userId, recentHistory);
+        if (count === records.length) {
+          this.borrowHistory.delete(userId);
+        } else {
+          this.borrowHistory.set(userId, records.slice(count));
         }
+        this.save("borrowHistory", userId);
+        report.archivedRecords += count;
+        report.patrons++;
       });
+
+      if (report.archivedRecords > 0) {
+        this.audit("history.archive", "history", null, null, report);
+      }
+      return report;
+    });
+  }
+
+  // Applies the retention policy at most once an hour.
+  optimizePerformance() {
+    const now = performance.now();
+    if (
+      this.metrics.lastOptimization !== null &&
+      now - this.metrics.lastOptimization < 3600000
+    ) {
+      return null;
     }
+    this.metrics.lastOptimization = now;
+    return this.applyRetention();
   }
 }
@@ -0,0 +1,33 @@
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class Loan {
+  constructor(barcode, isbn, userId, borrowedAt, dueDate) {
+    this.barcode = barcode;
+    this.isbn = isbn;
+    this.userId = userId;
+    this.borrowedAt = borrowedAt;
+    this.dueDate = dueDate;
+    this.renewals = 0;
+  }
+
+  static fromJSON(data) {
+    const loan = new Loan(
+      data.barcode,
+      data.isbn,
+      data.userId,
+      new Date(data.borrowedAt),
+      new Date(data.dueDate)
+    );
+    loan.renewals = data.renewals;
+    return loan;
+  }
+
+  isOverdue(now) {
+    return now > this.dueDate;
+  }
+
+  daysOverdue(now) {
+    if (!this.isOverdue(now)) return 0;
+    return Math.ceil((now - this.dueDate) / DAY_MS);
+  }
+}
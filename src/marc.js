@@ -0,0 +1,294 @@
+// MARC21 bibliographic records in ISO 2709 binary and MARCXML form. Records
+// are handled as `{ leader, fields }`, where control fields are
+// `{ tag, value }` and data fields `{ tag, ind1, ind2, subfields }`.
+
+const FIELD_TERMINATOR = 0x1e;
+const RECORD_TERMINATOR = 0x1d;
+const SUBFIELD_DELIMITER = 0x1f;
+const MARCXML_NAMESPACE = "http://www.loc.gov/MARC21/slim";
+
+const isControlTag = (tag) => tag < "010";
+
+export function bookToMarc(book, categories = []) {
+  const year = String(book.publicationYear);
+  return {
+    leader: "00000nam a2200000 i 4500",
+    fields: [
+      { tag: "001", value: book.isbn },
+      // 008/07-10 holds the date of publication; the rest is left unknown.
+      { tag: "008", value: `${"".padEnd(7, " ")}${year}`.padEnd(40, " ") },
+      {
+        tag: "020",
+        ind1: " ",
+        ind2: " ",
+        subfields: [{ code: "a", value: book.isbn }],
+      },
+      {
+        tag: "100",
+        ind1: "1",
+        ind2: " ",
+        subfields: [{ code: "a", value: book.author }],
+      },
+      {
+        tag: "245",
+        ind1: "1",
+        ind2: "0",
+        subfields: [{ code: "a", value: book.title }],
+      },
+      {
+        tag: "264",
+        ind1: " ",
+        ind2: "1",
+        subfields: [{ code: "c", value: year }],
+      },
+      ...categories.map((category) => ({
+        tag: "650",
+        ind1: " ",
+        ind2: "4",
+        subfields: [{ code: "a", value: category }],
+      })),
+    ],
+  };
+}
+
+const subfield = (record, tags, code) => {
+  for (const field of record.fields) {
+    if (tags.includes(field.tag) && field.subfields) {
+      const match = field.subfields.find((s) => s.code === code);
+      if (match) return match.value;
+    }
+  }
+  return undefined;
+};
+
+// Strips the ISBD punctuation that cataloguers leave at the end of
+// subfields, e.g. "Clean code :" or "Martin, Robert C.,", keeping the full
+// stop after an initial.
+const trimPunctuation = (value) =>
+  value === undefined
+    ? undefined
+    : value
+        .replace(/[\s/:;,]+$/, "")
+        .replace(/(?<!\b[A-Z])\.$/, "")
+        .trim();
+
+export function marcToBook(record) {
+  const isbn =
+    subfield(record, ["020"], "a")?.split(" ")[0] ||
+    record.fields.find((field) => field.tag === "001")?.value;
+
+  const dateField = subfield(record, ["264", "260"], "c");
+  const fixedData = record.fields.find((field) => field.tag === "008")?.value;
+  const year = (dateField || fixedData?.slice(7, 11) || "").match(/\d{4}/);
+
+  return {
+    isbn,
+    title: trimPunctuation(subfield(record, ["245"], "a")),
+    author: trimPunctuation(subfield(record, ["100", "110", "700"], "a")),
+    publicationYear: year ? Number(year[0]) : undefined,
+    categories: record.fields
+      .filter((field) => ["650", "655"].includes(field.tag) && field.subfields)
+      .map((field) =>
+        trimPunctuation(field.subfields.find((s) => s.code === "a")?.value)
+      )
+      .filter(Boolean),
+  };
+}
+
+export function encodeMarc(records) {
+  return Buffer.concat(records.map(encodeRecord));
+}
+
+function encodeRecord(record) {
+  const fieldData = record.fields.map((field) => {
+    const content = isControlTag(field.tag)
+      ? field.value
+      : field.ind1 +
+        field.ind2 +
+        field.subfields
+          .map(
+            (s) =>
+              `${String.fromCharCode(SUBFIELD_DELIMITER)}${s.code}${s.value}`
+          )
+          .join("");
+    return Buffer.concat([
+      Buffer.from(content, "utf8"),
+      Buffer.from([FIELD_TERMINATOR]),
+    ]);
+  });
+
+  let offset = 0;
+  const directory = record.fields
+    .map((field, index) => {
+      const entry =
+        field.tag +
+        String(fieldData[index].length).padStart(4, "0") +
+        String(offset).padStart(5, "0");
+      offset += fieldData[index].length;
+      return entry;
+    })
+    .join("");
+
+  const baseAddress = 24 + directory.length + 1;
+  const recordLength = baseAddress + offset + 1;
+  // Positions 0-4 and 12-16 carry the computed lengths; position 9 "a"
+  // declares UTF-8 content.
+  const leader =
+    String(recordLength).padStart(5, "0") +
+    record.leader.slice(5, 9) +
+    "a" +
+    record.leader.slice(10, 12) +
+    String(baseAddress).padStart(5, "0") +
+    record.leader.slice(17, 24);
+
+  return Buffer.concat([
+    Buffer.from(leader + directory, "ascii"),
+    Buffer.from([FIELD_TERMINATOR]),
+    ...fieldData,
+    Buffer.from([RECORD_TERMINATOR]),
+  ]);
+}
+
+export function decodeMarc(buffer) {
+  return splitMarc(buffer).map(decodeRecord);
+}
+
+// The raw bytes of each record in a binary MARC file, so that callers can
+// decode them one at a time and get past a malformed one.
+export function splitMarc(buffer) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < buffer.length) {
+    // Some files put a line break between records.
+    while (buffer[start] === 0x0a || buffer[start] === 0x0d) start++;
+    const end = buffer.indexOf(RECORD_TERMINATOR, start);
+    if (end === -1) break;
+    chunks.push(buffer.subarray(start, end + 1));
+    start = end + 1;
+  }
+
+  return chunks;
+}
+
+export function decodeRecord(chunk) {
+  const leader = chunk.toString("ascii", 0, 24);
+  const baseAddress = Number(leader.slice(12, 17));
+  if (!Number.isInteger(baseAddress) || baseAddress < 25) {
+    throw new Error("Invalid MARC leader");
+  }
+
+  const directory = chunk.toString("ascii", 24, baseAddress - 1);
+  const fields = [];
+
+  for (let i = 0; i + 12 <= directory.length; i += 12) {
+    const tag = directory.slice(i, i + 3);
+    const length = Number(directory.slice(i + 3, i + 7));
+    const offset = Number(directory.slice(i + 7, i + 12));
+    const content = chunk
+      .subarray(baseAddress + offset, baseAddress + offset + length)
+      .toString("utf8")
+      .replace(/\x1e$/, "");
+
+    if (isControlTag(tag)) {
+      fields.push({ tag, value: content });
+    } else {
+      const [indicators, ...parts] = content.split("\x1f");
+      fields.push({
+        tag,
+        ind1: indicators[0] || " ",
+        ind2: indicators[1] || " ",
+        subfields: parts.map((part) => ({
+          code: part[0],
+          value: part.slice(1),
+        })),
+      });
+    }
+  }
+
+  return { leader, fields };
+}
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const unescapeXml = (value) =>
+  value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) =>
+      String.fromCodePoint(parseInt(hex, 16))
+    )
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&amp;/g, "&");
+
+export function toMarcXml(records) {
+  const body = records
+    .map((record) => {
+      const fields = record.fields
+        .map((field) =>
+          isControlTag(field.tag)
+            ? `    <controlfield tag="${field.tag}">${escapeXml(field.value)}</controlfield>`
+            : `    <datafield tag="${field.tag}" ind1="${field.ind1}" ind2="${field.ind2}">\n` +
+              field.subfields
+                .map(
+                  (s) =>
+                    `      <subfield code="${s.code}">${escapeXml(s.value)}</subfield>`
+                )
+                .join("\n") +
+              "\n    </datafield>"
+        )
+        .join("\n");
+      return `  <record>\n    <leader>${escapeXml(record.leader)}</leader>\n${fields}\n  </record>`;
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="${MARCXML_NAMESPACE}">\n${body}\n</collection>\n`;
+}
+
+// Reads the MARCXML subset produced by catalogue exports: records made of a
+// leader, control fields and data fields. Namespace prefixes are ignored.
+export function fromMarcXml(xml) {
+  const element = (name) =>
+    new RegExp(
+      `<(?:\\w+:)?${name}\\b([^>]*)>([\\s\\S]*?)</(?:\\w+:)?${name}>`,
+      "g"
+    );
+  const attribute = (attrs, name) =>
+    attrs.match(new RegExp(`\\b${name}\\s*=\\s*(["'])(.*?)\\1`))?.[2];
+
+  return Array.from(xml.matchAll(element("record")), ([, , content]) => {
+    const leaderMatch = element("leader").exec(content);
+    const leader = leaderMatch
+      ? unescapeXml(leaderMatch[2])
+      : "".padEnd(24, " ");
+
+    const fields = [];
+    for (const [, attrs, value] of content.matchAll(element("controlfield"))) {
+      fields.push({ tag: attribute(attrs, "tag"), value: unescapeXml(value) });
+    }
+    for (const [, attrs, value] of content.matchAll(element("datafield"))) {
+      fields.push({
+        tag: attribute(attrs, "tag"),
+        ind1: attribute(attrs, "ind1") || " ",
+        ind2: attribute(attrs, "ind2") || " ",
+        subfields: Array.from(
+          value.matchAll(element("subfield")),
+          ([, subAttrs, subValue]) => ({
+            code: attribute(subAttrs, "code"),
+            value: unescapeXml(subValue),
+          })
+        ),
+      });
+    }
+    fields.sort((a, b) => a.tag.localeCompare(b.tag));
+
+    return { leader, fields };
+  });
+}
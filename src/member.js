@@ -0,0 +1,34 @@
+export const MemberType = Object.freeze({
+  STUDENT: "student",
+  STAFF: "staff",
+  GUEST: "guest",
+});
+
+export class Member {
+  constructor(id, name, type, registeredAt, expiresAt) {
+    this.id = id;
+    this.name = name;
+    this.type = type;
+    this.registeredAt = registeredAt;
+    this.expiresAt = expiresAt;
+    this.suspended = false;
+    this.suspensionReason = null;
+  }
+
+  static fromJSON(data) {
+    const member = new Member(
+      data.id,
+      data.name,
+      data.type,
+      new Date(data.registeredAt),
+      new Date(data.expiresAt)
+    );
+    member.suspended = data.suspended;
+    member.suspensionReason = data.suspensionReason;
+    return member;
+  }
+
+  isExpired(now) {
+    return now > this.expiresAt;
+  }
+}
@@ -0,0 +1,86 @@
+import client from "prom-client";
+
+// Prometheus metrics for the HTTP API and the library it serves. Each call
+// builds its own registry so that tests and multiple servers don't share
+// state with prom-client's global one.
+export function createMetrics({ defaultMetrics = true } = {}) {
+  const registry = new client.Registry();
+  if (defaultMetrics) {
+    client.collectDefaultMetrics({ register: registry });
+  }
+
+  const httpRequests = new client.Counter({
+    name: "library_http_requests_total",
+    help: "HTTP requests by method, route and status code",
+    labelNames: ["method", "route", "status"],
+    registers: [registry],
+  });
+  const httpDuration = new client.Histogram({
+    name: "library_http_request_duration_seconds",
+    help: "HTTP request latency by method, route and status code",
+    labelNames: ["method", "route", "status"],
+    registers: [registry],
+  });
+  const operationDuration = new client.Histogram({
+    name: "library_operation_duration_seconds",
+    help: "Duration of tracked library operations",
+    labelNames: ["operation"],
+    buckets: [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1],
+    registers: [registry],
+  });
+
+  // Labels use the route pattern rather than the URL so that every ISBN or
+  // user id doesn't become its own time series.
+  const middleware = (req, res, next) => {
+    const end = httpDuration.startTimer();
+    res.on("finish", () => {
+      const labels = {
+        method: req.method,
+        route: req.route ? req.baseUrl + req.route.path : "unmatched",
+        status: res.statusCode,
+      };
+      end(labels);
+      httpRequests.inc(labels);
+    });
+    next();
+  };
+
+  const observeOperation = (operation, durationMs) =>
+    operationDuration.observe({ operation }, durationMs / 1000);
+
+  // Catalog and circulation gauges are read from the library on each scrape.
+  const observeLibrary = (library) => {
+    const gauge = (name, help, read) =>
+      new client.Gauge({
+        name,
+        help,
+        registers: [registry],
+        collect() {
+          this.set(read());
+        },
+      });
+
+    gauge(
+      "library_books_total",
+      "Titles in the catalog",
+      () => library.books.size
+    );
+    gauge(
+      "library_copies_total",
+      "Physical copies in the catalog",
+      () => library.copies.size
+    );
+    gauge(
+      "library_active_loans",
+      "Copies currently on loan",
+      () => library.loans.size
+    );
+    gauge(
+      "library_overdue_loans",
+      "Loans past their due date",
+      () => library.getOverdueLoans().length
+    );
+  };
+
+  return { registry, middleware, observeOperation, observeLibrary };
+}
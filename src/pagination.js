@@ -0,0 +1,58 @@
+import { LibraryError } from "./errors.js";
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+
+const parseCount = (value, name, min, fallback) => {
+  if (value === undefined || value === "") return fallback;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < min) {
+    throw new LibraryError(
+      `${name} must be an integer of at least ${min}`,
+      "INVALID_PAGINATION"
+    );
+  }
+  return count;
+};
+
+// Reads `offset` and `limit` from request query parameters.
+export function parsePage({ offset, limit } = {}) {
+  return {
+    offset: parseCount(offset, "offset", 0, 0),
+    limit: Math.min(
+      parseCount(limit, "limit", 1, DEFAULT_PAGE_SIZE),
+      MAX_PAGE_SIZE
+    ),
+  };
+}
+
+export function paginate(items, { offset, limit }) {
+  return {
+    items: items.slice(offset, offset + limit),
+    total: items.length,
+    offset,
+    limit,
+  };
+}
+
+// Builds an RFC 8288 Link header pointing at the first, previous, next and
+// last pages of `url`, keeping its other query parameters.
+export function pageLinks(url, { total, offset, limit }) {
+  const link = (rel, pageOffset) => {
+    const target = new URL(url);
+    target.searchParams.set("offset", pageOffset);
+    target.searchParams.set("limit", limit);
+    return `<${target}>; rel="${rel}"`;
+  };
+
+  const lastOffset = Math.max(0, Math.floor((total - 1) / limit) * limit);
+  const links = [link("first", 0)];
+  if (offset > 0) {
+    links.push(link("prev", Math.max(0, Math.min(offset, total) - limit)));
+  }
+  if (offset + limit < total) {
+    links.push(link("next", offset + limit));
+  }
+  links.push(link("last", lastOffset));
+  return links.join(", ");
+}
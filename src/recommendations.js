@@ -0,0 +1,62 @@
+// Item-to-item recommendations from borrowing history. Two books are related
+// when the same patrons borrowed both; the similarity is the cosine of their
+// reader sets, so a book everyone borrows does not crowd out closer matches.
+
+// Weight of category affinity relative to co-borrowing similarity.
+export const CATEGORY_WEIGHT = 0.5;
+
+export function buildBorrowGraph(borrowHistory) {
+  const readers = new Map();
+  const booksOf = new Map();
+
+  borrowHistory.forEach((records, userId) => {
+    records
+      .filter((record) => record.action === "borrow")
+      .forEach(({ isbn }) => {
+        if (!readers.has(isbn)) readers.set(isbn, new Set());
+        readers.get(isbn).add(userId);
+        if (!booksOf.has(userId)) booksOf.set(userId, new Set());
+        booksOf.get(userId).add(isbn);
+      });
+  });
+
+  return { readers, booksOf };
+}
+
+// Maps each book co-borrowed with `isbn` to its similarity and the number of
+// patrons who borrowed both.
+export function coBorrowed({ readers, booksOf }, isbn) {
+  const related = new Map();
+  const ownReaders = readers.get(isbn) || new Set();
+
+  ownReaders.forEach((userId) => {
+    booksOf.get(userId).forEach((other) => {
+      if (other === isbn) return;
+      related.set(other, (related.get(other) || 0) + 1);
+    });
+  });
+
+  return new Map(
+    Array.from(related, ([other, shared]) => [
+      other,
+      {
+        similarity:
+          shared / Math.sqrt(ownReaders.size * readers.get(other).size),
+        coBorrowers: shared,
+      },
+    ])
+  );
+}
+
+// Share of a patron's borrowed books filed under each category.
+export function categoryAffinity(isbns, categoriesOf) {
+  const counts = new Map();
+  isbns.forEach((isbn) =>
+    categoriesOf(isbn).forEach((category) =>
+      counts.set(category, (counts.get(category) || 0) + 1)
+    )
+  );
+  return new Map(
+    Array.from(counts, ([category, count]) => [category, count / isbns.size])
+  );
+}
@@ -0,0 +1,94 @@
+import { randomUUID } from "node:crypto";
+
+const CIRCULATION_ACTIONS = new Set(["borrow", "return"]);
+
+// Number of leading records older than `cutoff` that can leave the working
+// history. Analytics pair a return with the patron's latest borrow (see
+// BorrowAggregates), so the split never falls where the next borrow or
+// return, or a loan still out, is a return that would lose its borrow.
+export function archivableCount(records, cutoff, { hasOpenLoan = false } = {}) {
+  let nextAction = hasOpenLoan ? "return" : null;
+  const canSplitAfter = new Array(records.length);
+  for (let i = records.length - 1; i >= 0; i--) {
+    canSplitAfter[i] = nextAction !== "return";
+    if (CIRCULATION_ACTIONS.has(records[i].action)) {
+      nextAction = records[i].action;
+    }
+  }
+
+  let count = 0;
+  for (let i = 0; i < records.length && records[i].timestamp < cutoff; i++) {
+    if (canSplitAfter[i]) count = i + 1;
+  }
+  return count;
+}
+
+// A fresh id for each patron on each archival run, so archived records
+// cannot be tied back to the patron or to each other across runs.
+export const anonymousId = () => `anon-${randomUUID()}`;
+
+// History records moved out of the working history, kept per patron (or per
+// anonymous id) in the "historyArchive" collection of their own storage. They
+// are never shown as a patron's history but still count in analytics.
+export class HistoryArchive {
+  constructor(storage) {
+    this.storage = storage;
+    this.records = new Map();
+  }
+
+  load(entries = []) {
+    this.records = new Map(
+      entries.map(([key, records]) => [
+        key,
+        records.map((record) => ({
+          ...record,
+          timestamp: new Date(record.timestamp),
+          ...(record.dueDate && { dueDate: new Date(record.dueDate) }),
+        })),
+      ])
+    );
+  }
+
+  add(key, records) {
+    const archived = [...(this.records.get(key) || []), ...records];
+    this.records.set(key, archived);
+    this.storage.put("historyArchive", key, archived);
+  }
+
+  get size() {
+    let size = 0;
+    this.records.forEach((records) => (size += records.length));
+    return size;
+  }
+}
+
+// Applies the library's retention policy every `intervalMs`.
+export class RetentionScheduler {
+  constructor(library, { intervalMs, onError = console.error } = {}) {
+    this.library = library;
+    this.intervalMs = intervalMs;
+    this.onError = onError;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return this;
+    this.timer = setInterval(() => this.run(), this.intervalMs);
+    this.timer.unref?.();
+    return this;
+  }
+
+  run() {
+    try {
+      return this.library.applyRetention();
+    } catch (error) {
+      this.onError(error);
+      return null;
+    }
+  }
+
+  close() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
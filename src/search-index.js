@@ -0,0 +1,313 @@
+import { ContributorRole, normalizeLanguage } from "./book.js";
+import { LibraryError } from "./errors.js";
+
+// Field bit flags and ranking weights: a title match outranks an author or
+// subject match, which outranks the other contributors, publisher, ISBN or
+// year; the description counts least.
+const FIELDS = {
+  title: { flag: 1, weight: 3 },
+  author: { flag: 2, weight: 2 },
+  isbn: { flag: 4, weight: 1 },
+  year: { flag: 8, weight: 1 },
+  contributor: { flag: 16, weight: 1 },
+  publisher: { flag: 32, weight: 1 },
+  subject: { flag: 64, weight: 2 },
+  description: { flag: 128, weight: 0.5 },
+};
+const ALL_FIELDS = Object.values(FIELDS).reduce((mask, f) => mask | f.flag, 0);
+
+const MATCH_QUALITY = { exact: 1, prefix: 0.75, fuzzy: [1, 0.6, 0.4] };
+
+export const foldText = (text) =>
+  String(text).normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+
+export const tokenize = (text) =>
+  foldText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+// Edit distance counting adjacent transpositions as one edit. Gives up early
+// and returns Infinity once the distance must exceed `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      if (
+        previous2 &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, previous2[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return Infinity;
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length] <= max ? previous[b.length] : Infinity;
+}
+
+// Numbers (years, ISBN fragments) must match exactly; words get one typo
+// from four letters and two from eight.
+const allowedEdits = (term) => {
+  if (/^\d+$/.test(term)) return 0;
+  return term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+};
+
+const parseYearRange = (value) => {
+  const match = value.match(/^(\d{4})?(?:\.\.(\d{4})?)?$/);
+  if (!match || (!match[1] && !match[2])) {
+    throw new LibraryError(`Invalid year filter: ${value}`, "INVALID_QUERY");
+  }
+  const isRange = value.includes("..");
+  return {
+    from: match[1] ? Number(match[1]) : -Infinity,
+    to: isRange ? (match[2] ? Number(match[2]) : Infinity) : Number(match[1]),
+  };
+};
+
+const parseLanguage = (value) => {
+  try {
+    return normalizeLanguage(value);
+  } catch (error) {
+    throw new LibraryError(error.message, "INVALID_QUERY");
+  }
+};
+
+const parseAvailability = (value) => {
+  const normalized = String(value).toLowerCase();
+  if (!["true", "false"].includes(normalized)) {
+    throw new LibraryError(
+      `Invalid availability filter: ${value}`,
+      "INVALID_QUERY"
+    );
+  }
+  return normalized === "true";
+};
+
+// Splits a query such as `author:tolkien year:1950..1960 ring` into text
+// terms (optionally restricted to one field) and filters. Values with spaces
+// can be quoted: `title:"the hobbit"`. `language:en` also matches regional
+// variants such as "en-gb".
+export function parseQuery(query) {
+  const terms = [];
+  const filters = {
+    years: [],
+    categories: [],
+    languages: [],
+    subjects: [],
+    publishers: [],
+    available: undefined,
+  };
+  const pattern = /(\w+):(?:"([^"]*)"|(\S+))|"[^"]*"|\S+/g;
+
+  for (const match of String(query).matchAll(pattern)) {
+    const [text, rawField, quotedValue, plainValue] = match;
+    const field = rawField?.toLowerCase();
+    const value = quotedValue ?? plainValue;
+
+    if (field === "year") {
+      filters.years.push(parseYearRange(value));
+    } else if (field === "category") {
+      filters.categories.push(foldText(value));
+    } else if (field === "language") {
+      filters.languages.push(parseLanguage(value));
+    } else if (field === "available") {
+      filters.available = parseAvailability(value);
+    } else if (FIELDS[field]) {
+      tokenize(value).forEach((token) => terms.push({ field, text: token }));
+    } else {
+      // Unknown fields such as "vol:2" are searched as plain text.
+      tokenize(text).forEach((token) =>
+        terms.push({ field: null, text: token })
+      );
+    }
+  }
+
+  return { terms, filters };
+}
+
+// Builds the same filters from listing options, e.g. the query parameters
+// `?year=1950..1960&category=fantasy&available=true`. `subject` and
+// `publisher` must match a whole name, ignoring case and accents.
+export function parseFilters({
+  year,
+  category,
+  language,
+  subject,
+  publisher,
+  available,
+} = {}) {
+  return {
+    years: year === undefined ? [] : [parseYearRange(String(year))],
+    categories: category === undefined ? [] : [foldText(category)],
+    languages: language === undefined ? [] : [parseLanguage(language)],
+    subjects: subject === undefined ? [] : [foldText(subject)],
+    publishers: publisher === undefined ? [] : [foldText(publisher)],
+    available:
+      available === undefined ? undefined : parseAvailability(available),
+  };
+}
+
+export class SearchIndex {
+  constructor() {
+    this.postings = new Map();
+    this.documents = new Map();
+    this.sortedTokens = null;
+  }
+
+  add(book) {
+    this.remove(book.isbn);
+
+    const tokens = new Map();
+    const addField = (field, text) => {
+      if (text === undefined || text === null) return;
+      tokenize(text).forEach((token) =>
+        tokens.set(token, (tokens.get(token) || 0) | FIELDS[field].flag)
+      );
+    };
+    addField("title", book.title);
+    addField("author", book.author);
+    (book.contributors || []).forEach(({ name, role }) =>
+      addField(role === ContributorRole.AUTHOR ? "author" : "contributor", name)
+    );
+    addField("isbn", book.isbn);
+    addField("isbn", book.isbn10);
+    addField("year", book.publicationYear);
+    addField("publisher", book.publisher);
+    (book.subjects || []).forEach((subject) => addField("subject", subject));
+    addField("description", book.description);
+
+    tokens.forEach((mask, token) => {
+      if (!this.postings.has(token)) {
+        this.postings.set(token, new Map());
+        this.sortedTokens = null;
+      }
+      this.postings.get(token).set(book.isbn, mask);
+    });
+    this.documents.set(book.isbn, Array.from(tokens.keys()));
+  }
+
+  remove(isbn) {
+    const tokens = this.documents.get(isbn);
+    if (!tokens) return;
+
+    tokens.forEach((token) => {
+      const posting = this.postings.get(token);
+      posting.delete(isbn);
+      if (posting.size === 0) {
+        this.postings.delete(token);
+        this.sortedTokens = null;
+      }
+    });
+    this.documents.delete(isbn);
+  }
+
+  clear() {
+    this.postings.clear();
+    this.documents.clear();
+    this.sortedTokens = null;
+  }
+
+  // Returns a Map of isbn -> score for documents matching every term, or
+  // null when there are no terms to match.
+  search(terms) {
+    if (terms.length === 0) return null;
+
+    let scores = null;
+    for (const term of terms) {
+      const termScores = this.matchTerm(term);
+      if (scores === null) {
+        scores = termScores;
+      } else {
+        const combined = new Map();
+        scores.forEach((score, isbn) => {
+          if (termScores.has(isbn)) {
+            combined.set(isbn, score + termScores.get(isbn));
+          }
+        });
+        scores = combined;
+      }
+      if (scores.size === 0) break;
+    }
+    return scores;
+  }
+
+  matchTerm({ field, text }) {
+    const mask = field ? FIELDS[field].flag : ALL_FIELDS;
+    const scores = new Map();
+
+    const collect = (token, quality) => {
+      this.postings.get(token).forEach((tokenMask, isbn) => {
+        const weight = Math.max(
+          0,
+          ...Object.values(FIELDS)
+            .filter((f) => f.flag & tokenMask & mask)
+            .map((f) => f.weight)
+        );
+        const score = weight * quality;
+        if (score > (scores.get(isbn) || 0)) {
+          scores.set(isbn, score);
+        }
+      });
+    };
+
+    for (const token of this.tokensWithPrefix(text)) {
+      collect(
+        token,
+        token === text ? MATCH_QUALITY.exact : MATCH_QUALITY.prefix
+      );
+    }
+
+    // Typo tolerance only kicks in for words that are not in the index.
+    const maxEdits = allowedEdits(text);
+    if (!this.postings.has(text) && maxEdits > 0) {
+      this.postings.forEach((_, token) => {
+        const distance = editDistance(text, token, maxEdits);
+        if (distance > 0 && distance !== Infinity) {
+          collect(token, MATCH_QUALITY.fuzzy[distance]);
+        }
+      });
+    }
+
+    return scores;
+  }
+
+  tokensWithPrefix(prefix) {
+    if (!this.sortedTokens) {
+      this.sortedTokens = Array.from(this.postings.keys()).sort();
+    }
+
+    let low = 0;
+    let high = this.sortedTokens.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.sortedTokens[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+
+    const tokens = [];
+    for (let i = low; i < this.sortedTokens.length; i++) {
+      if (!this.sortedTokens[i].startsWith(prefix)) break;
+      tokens.push(this.sortedTokens[i]);
+    }
+    return tokens;
+  }
+}
@@ -0,0 +1,106 @@
+import {
+  appendFileSync,
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync,
+} from "node:fs";
+import { join } from "node:path";
+import { MemoryStorage } from "./memory.js";
+
+// Every change is appended to journal.jsonl; once the journal reaches
+// `compactEvery` entries the full state is written to snapshot.json and the
+// journal starts over. Loading replays the journal on top of the snapshot.
+export class FileStorage extends MemoryStorage {
+  constructor(directory, { compactEvery = 1000 } = {}) {
+    super();
+    this.snapshotPath = join(directory, "snapshot.json");
+    this.journalPath = join(directory, "journal.jsonl");
+    this.compactEvery = compactEvery;
+    this.journalEntries = 0;
+
+    mkdirSync(directory, { recursive: true });
+    this.replay();
+  }
+
+  replay() {
+    if (existsSync(this.snapshotPath)) {
+      const snapshot = JSON.parse(readFileSync(this.snapshotPath, "utf8"));
+      Object.entries(snapshot).forEach(([collection, records]) => {
+        Object.entries(records).forEach(([key, value]) => {
+          super.put(collection, key, value);
+        });
+      });
+    }
+
+    if (existsSync(this.journalPath)) {
+      const lines = readFileSync(this.journalPath, "utf8").split("\n");
+      for (const line of lines) {
+        if (!line) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          // A torn final line from a crash mid-write is dropped. The journal
+          // is rewritten without it, or the next append would be joined onto
+          // the torn line and lost on the following restart.
+          this.compact();
+          break;
+        }
+        this.apply(entry);
+        this.journalEntries++;
+      }
+    }
+  }
+
+  apply({ op, collection, key, value }) {
+    if (op === "put") super.put(collection, key, value);
+    else if (op === "delete") super.delete(collection, key);
+    else if (op === "clear") super.clear();
+  }
+
+  put(collection, key, value) {
+    super.put(collection, key, value);
+    this.append({ op: "put", collection, key, value });
+  }
+
+  delete(collection, key) {
+    super.delete(collection, key);
+    this.append({ op: "delete", collection, key });
+  }
+
+  clear() {
+    super.clear();
+    this.append({ op: "clear" });
+  }
+
+  append(entry) {
+    appendFileSync(this.journalPath, JSON.stringify(entry) + "\n");
+    this.journalEntries++;
+    if (this.journalEntries >= this.compactEvery) {
+      this.compact();
+    }
+  }
+
+  compact() {
+    // Records are already serialized, so the snapshot is assembled as text.
+    const collections = Array.from(this.collections, ([name, records]) => {
+      const body = Array.from(
+        records,
+        ([key, json]) => `${JSON.stringify(key)}:${json}`
+      ).join(",");
+      return `${JSON.stringify(name)}:{${body}}`;
+    });
+
+    const tempPath = `${this.snapshotPath}.tmp`;
+    writeFileSync(tempPath, `{${collections.join(",")}}`);
+    renameSync(tempPath, this.snapshotPath);
+    writeFileSync(this.journalPath, "");
+    this.journalEntries = 0;
+  }
+
+  close() {
+    this.compact();
+  }
+}
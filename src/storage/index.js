@@ -0,0 +1,21 @@
+import { FileStorage } from "./file.js";
+import { MemoryStorage } from "./memory.js";
+
+export { FileStorage, MemoryStorage };
+
+// The SQLite backend is imported lazily so that its native module is only
+// loaded when that backend is actually selected.
+export async function createStorage(type = "memory", path) {
+  switch (type) {
+    case "memory":
+      return new MemoryStorage();
+    case "file":
+      return new FileStorage(path || "data");
+    case "sqlite": {
+      const { SqliteStorage } = await import("./sqlite.js");
+      return new SqliteStorage(path || "data/library.sqlite");
+    }
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+}
@@ -0,0 +1,45 @@
+// Keys become property names in the file snapshot and TEXT columns in SQLite,
+// so every backend accepts only non-empty strings.
+export function checkKey(key) {
+  if (typeof key !== "string" || key === "") {
+    throw new TypeError(`Invalid storage key: ${String(key)}`);
+  }
+}
+
+// Records are kept as serialized JSON so that this default backend behaves
+// like the durable ones: callers always get fresh copies back from load().
+export class MemoryStorage {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  load() {
+    const state = {};
+    this.collections.forEach((records, name) => {
+      state[name] = Array.from(records, ([key, json]) => [
+        key,
+        JSON.parse(json),
+      ]);
+    });
+    return state;
+  }
+
+  put(collection, key, value) {
+    checkKey(key);
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    this.collections.get(collection).set(key, JSON.stringify(value));
+  }
+
+  delete(collection, key) {
+    checkKey(key);
+    this.collections.get(collection)?.delete(key);
+  }
+
+  clear() {
+    this.collections.clear();
+  }
+
+  close() {}
+}
@@ -0,0 +1,61 @@
+import { mkdirSync } from "node:fs";
+import { dirname } from "node:path";
+import Database from "better-sqlite3";
+import { checkKey } from "./memory.js";
+
+export class SqliteStorage {
+  constructor(path) {
+    mkdirSync(dirname(path), { recursive: true });
+    this.db = new Database(path);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+      )
+    `);
+
+    this.statements = {
+      all: this.db.prepare("SELECT collection, key, value FROM records"),
+      put: this.db.prepare(
+        `INSERT INTO records (collection, key, value) VALUES (?, ?, ?)
+         ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value`
+      ),
+      delete: this.db.prepare(
+        "DELETE FROM records WHERE collection = ? AND key = ?"
+      ),
+      clear: this.db.prepare("DELETE FROM records"),
+    };
+  }
+
+  load() {
+    const state = {};
+    for (const row of this.statements.all.iterate()) {
+      if (!state[row.collection]) {
+        state[row.collection] = [];
+      }
+      state[row.collection].push([row.key, JSON.parse(row.value)]);
+    }
+    return state;
+  }
+
+  put(collection, key, value) {
+    checkKey(key);
+    this.statements.put.run(collection, key, JSON.stringify(value));
+  }
+
+  delete(collection, key) {
+    checkKey(key);
+    this.statements.delete.run(collection, key);
+  }
+
+  clear() {
+    this.statements.clear.run();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
@@ -0,0 +1,149 @@
+import { LibraryError } from "./errors.js";
+import { DAY_MS } from "./loan.js";
+
+// Rolling windows ending at the time the analytics are requested.
+export const TIMEFRAME_PRESETS = {
+  "7d": (end) => new Date(end.getTime() - 7 * DAY_MS),
+  "30d": (end) => new Date(end.getTime() - 30 * DAY_MS),
+  "90d": (end) => new Date(end.getTime() - 90 * DAY_MS),
+  year: (end) => {
+    const start = new Date(end);
+    start.setUTCFullYear(start.getUTCFullYear() - 1);
+    return start;
+  },
+};
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const invalid = (message) => new LibraryError(message, "INVALID_QUERY");
+
+const pad = (value) => String(value).padStart(2, "0");
+
+function dateFormatter(timeZone) {
+  try {
+    return new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+      hourCycle: "h23",
+    });
+  } catch {
+    throw invalid(`Unknown time zone "${timeZone}"`);
+  }
+}
+
+// The calendar date and wall-clock time of `date` in the formatter's zone.
+function localParts(formatter, date) {
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    if (type !== "literal") parts[type] = Number(value);
+  });
+  return parts;
+}
+
+// Milliseconds the zone is ahead of UTC at `time`.
+function zoneOffset(formatter, time) {
+  const { year, month, day, hour, minute, second } = localParts(
+    formatter,
+    new Date(time)
+  );
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+// Midnight at the start of a calendar day in the formatter's zone.
+function startOfDay(formatter, year, month, day) {
+  const midnight = Date.UTC(year, month - 1, day);
+  const guess = midnight - zoneOffset(formatter, midnight);
+  return new Date(midnight - zoneOffset(formatter, guess));
+}
+
+// A bare date (`2024-03-01`) is a whole day in the requested zone, so as an
+// end bound it reaches to the following midnight.
+function parseBound(value, formatter, name, { endOfDay = false } = {}) {
+  if (value instanceof Date) return value;
+  const dateOnly = DATE_ONLY.exec(value);
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly.map(Number);
+    return startOfDay(formatter, year, month, day + (endOfDay ? 1 : 0));
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw invalid(`${name} must be an ISO 8601 date or timestamp`);
+  }
+  return new Date(time);
+}
+
+// Resolves a preset (`7d`, `30d`, `90d`, `year` or `all`) or explicit
+// `from`/`to` bounds into a window [from, to). Either bound is null when the
+// window is open on that side; `all` without bounds covers every record. A
+// preset combined with `to` ends at `to` instead of `now`.
+// `previous` is the window of the same length immediately before, if any.
+export function resolveTimeframe(
+  { timeframe = "all", from, to, timeZone = "UTC" } = {},
+  now = new Date()
+) {
+  const formatter = dateFormatter(timeZone);
+  if (timeframe !== "all" && !TIMEFRAME_PRESETS[timeframe]) {
+    throw invalid(
+      `timeframe must be one of: all, ${Object.keys(TIMEFRAME_PRESETS).join(
+        ", "
+      )}`
+    );
+  }
+  if (timeframe !== "all" && from !== undefined) {
+    throw invalid("Use either a timeframe or a from date, not both");
+  }
+
+  const end =
+    to === undefined
+      ? now
+      : parseBound(to, formatter, "to", { endOfDay: true });
+  const start =
+    from !== undefined
+      ? parseBound(from, formatter, "from")
+      : timeframe === "all"
+        ? null
+        : TIMEFRAME_PRESETS[timeframe](end);
+  if (start && start >= end) {
+    throw invalid("from must be before to");
+  }
+
+  return {
+    from: start,
+    to: start || to !== undefined ? end : null,
+    timeZone,
+    previous: start
+      ? { from: new Date(2 * start.getTime() - end.getTime()), to: start }
+      : null,
+  };
+}
+
+export const inTimeframe = ({ from, to }, date) =>
+  (!from || date >= from) && (!to || date < to);
+
+// Returns a function mapping a date to its daily (`2024-03-01`), ISO weekly
+// (`2024-9`) and monthly (`2024-3`) bucket keys in `timeZone`.
+export function bucketKeys(timeZone = "UTC") {
+  const formatter = dateFormatter(timeZone);
+  return (date) => {
+    const { year, month, day } = localParts(formatter, date);
+    const thursday = new Date(Date.UTC(year, month - 1, day));
+    thursday.setUTCDate(
+      thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7)
+    );
+    const weekYear = thursday.getUTCFullYear();
+    const week = Math.ceil(
+      ((thursday - Date.UTC(weekYear, 0, 1)) / DAY_MS + 1) / 7
+    );
+    return {
+      day: `${year}-${pad(month)}-${pad(day)}`,
+      week: `${weekYear}-${week}`,
+      month: `${year}-${month}`,
+    };
+  };
+}
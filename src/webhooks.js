@@ -0,0 +1,267 @@
+import { createHmac, randomBytes, randomUUID } from "node:crypto";
+import { LibraryError } from "./errors.js";
+import { EVENT_TYPES } from "./events.js";
+
+export const DeliveryStatus = Object.freeze({
+  PENDING: "pending",
+  DELIVERED: "delivered",
+  FAILED: "failed",
+});
+
+// Receivers recompute this over the X-Library-Timestamp header and the raw
+// body and compare it with X-Library-Signature ("sha256=<hex>").
+export const signPayload = (secret, timestamp, body) =>
+  createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+const withoutSecret = ({ secret, ...subscription }) => subscription;
+
+// Posts domain events from a Library to subscriber URLs. Subscriptions and
+// dead letters are kept in the library's storage; the delivery log holds the
+// most recent `logSize` deliveries in memory.
+export class WebhookDispatcher {
+  constructor(
+    library,
+    {
+      fetch = globalThis.fetch,
+      maxAttempts = 5,
+      baseDelayMs = 1000,
+      maxDelayMs = 5 * 60 * 1000,
+      timeoutMs = 10000,
+      logSize = 1000,
+    } = {}
+  ) {
+    this.storage = library.storage;
+    this.clock = library.clock;
+    this.fetch = fetch;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.logSize = logSize;
+
+    this.deliveries = [];
+    this.timers = new Set();
+    this.outstanding = 0;
+    this.idleWaiters = [];
+
+    const state = this.storage.load();
+    this.subscriptions = new Map(state.webhooks || []);
+    this.deadLetters = new Map(state.webhookDeadLetters || []);
+    this.stopListening = library.on("*", (event) => this.dispatch(event));
+  }
+
+  subscribe({ url, events, secret } = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      throw new LibraryError(
+        "Webhook url must be an http(s) URL",
+        "INVALID_WEBHOOK"
+      );
+    }
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      events.some((type) => type !== "*" && !EVENT_TYPES.includes(type))
+    ) {
+      throw new LibraryError(
+        `Webhook events must be "*" or any of: ${EVENT_TYPES.join(", ")}`,
+        "INVALID_WEBHOOK"
+      );
+    }
+
+    const subscription = {
+      id: randomUUID(),
+      url: parsed.toString(),
+      events,
+      secret: secret || randomBytes(32).toString("hex"),
+      createdAt: this.clock().toISOString(),
+    };
+    this.subscriptions.set(subscription.id, subscription);
+    this.storage.put("webhooks", subscription.id, subscription);
+    return subscription;
+  }
+
+  unsubscribe(id) {
+    if (!this.subscriptions.delete(id)) {
+      throw new LibraryError("Webhook not found", "WEBHOOK_NOT_FOUND");
+    }
+    this.storage.delete("webhooks", id);
+    return true;
+  }
+
+  // Secrets are only returned when a subscription is created.
+  getSubscriptions() {
+    return Array.from(this.subscriptions.values(), withoutSecret);
+  }
+
+  getDeliveries({ subscriptionId, status, eventType } = {}) {
+    return this.deliveries.filter(
+      (delivery) =>
+        (subscriptionId === undefined ||
+          delivery.subscriptionId === subscriptionId) &&
+        (status === undefined || delivery.status === status) &&
+        (eventType === undefined || delivery.eventType === eventType)
+    );
+  }
+
+  getDeadLetters() {
+    return Array.from(this.deadLetters.values());
+  }
+
+  dispatch(event) {
+    this.subscriptions.forEach((subscription) => {
+      if (
+        !subscription.events.includes("*") &&
+        !subscription.events.includes(event.type)
+      ) {
+        return;
+      }
+
+      const delivery = {
+        id: randomUUID(),
+        subscriptionId: subscription.id,
+        url: subscription.url,
+        eventId: event.id,
+        eventType: event.type,
+        payload: event,
+        status: DeliveryStatus.PENDING,
+        attempts: 0,
+        createdAt: this.clock().toISOString(),
+        lastAttemptAt: null,
+        nextAttemptAt: null,
+        responseStatus: null,
+        error: null,
+      };
+      this.deliveries.push(delivery);
+      if (this.deliveries.length > this.logSize) {
+        this.deliveries.shift();
+      }
+      this.outstanding++;
+      this.attempt(delivery);
+    });
+  }
+
+  // Gives a dead letter a fresh set of attempts.
+  redeliver(id) {
+    const delivery = this.deadLetters.get(id);
+    if (!delivery) {
+      throw new LibraryError("Dead letter not found", "WEBHOOK_NOT_FOUND");
+    }
+    this.deadLetters.delete(id);
+    this.storage.delete("webhookDeadLetters", id);
+
+    Object.assign(delivery, {
+      status: DeliveryStatus.PENDING,
+      attempts: 0,
+      nextAttemptAt: null,
+    });
+    if (!this.deliveries.includes(delivery)) {
+      this.deliveries.push(delivery);
+    }
+    this.outstanding++;
+    this.attempt(delivery);
+    return delivery;
+  }
+
+  async attempt(delivery) {
+    const subscription = this.subscriptions.get(delivery.subscriptionId);
+    if (!subscription) {
+      delivery.error = "Subscription was removed";
+      this.fail(delivery);
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(this.clock().getTime() / 1000);
+    delivery.attempts++;
+    delivery.lastAttemptAt = this.clock().toISOString();
+    delivery.nextAttemptAt = null;
+
+    try {
+      const response = await this.fetch(subscription.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Library-Event": delivery.eventType,
+          "X-Library-Delivery": delivery.id,
+          "X-Library-Timestamp": String(timestamp),
+          "X-Library-Signature": `sha256=${signPayload(
+            subscription.secret,
+            timestamp,
+            body
+          )}`,
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+      await response.body?.cancel();
+      delivery.responseStatus = response.status;
+      if (response.ok) {
+        delivery.status = DeliveryStatus.DELIVERED;
+        delivery.error = null;
+        this.settle();
+        return;
+      }
+      delivery.error = `Receiver responded with ${response.status}`;
+    } catch (error) {
+      delivery.responseStatus = null;
+      delivery.error = error.message;
+    }
+
+    if (delivery.attempts >= this.maxAttempts) {
+      this.fail(delivery);
+    } else {
+      this.retryLater(delivery);
+    }
+  }
+
+  // Exponential backoff: baseDelayMs, then twice that, and so on, capped at
+  // maxDelayMs.
+  retryLater(delivery) {
+    const delay = Math.min(
+      this.baseDelayMs * 2 ** (delivery.attempts - 1),
+      this.maxDelayMs
+    );
+    delivery.nextAttemptAt = new Date(
+      this.clock().getTime() + delay
+    ).toISOString();
+
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      this.attempt(delivery);
+    }, delay);
+    timer.unref?.();
+    this.timers.add(timer);
+  }
+
+  fail(delivery) {
+    delivery.status = DeliveryStatus.FAILED;
+    this.deadLetters.set(delivery.id, delivery);
+    this.storage.put("webhookDeadLetters", delivery.id, delivery);
+    this.settle();
+  }
+
+  settle() {
+    this.outstanding--;
+    if (this.outstanding === 0) {
+      this.idleWaiters.splice(0).forEach((resolve) => resolve());
+    }
+  }
+
+  // Resolves once every delivery has either succeeded or been dead-lettered.
+  idle() {
+    if (this.outstanding === 0) return Promise.resolve();
+    return new Promise((resolve) => this.idleWaiters.push(resolve));
+  }
+
+  close() {
+    this.stopListening();
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
@@ -0,0 +1,116 @@
+import { describe, expect, test, beforeEach } from "@jest/globals";
+import { BorrowAggregates } from "../src/analytics.js";
+import { Library } from "../src/library.js";
+
+describe("Analytics Aggregates", () => {
+  let library;
+  let clock;
+
+  const at = (date) => {
+    clock = new Date(date);
+  };
+
+  beforeEach(() => {
+    clock = new Date("2024-03-01T10:00:00Z");
+    library = new Library({ clock: () => clock });
+    library.addBookWithCategory("123", "JavaScript", "Author", 2020, "Code");
+    library.addBookWithCategory("456", "Python", "Author", 2021, "Code");
+    library.addBookWithCategory("789", "Novel", "Author", 2022, "Fiction");
+  });
+
+  test("should update counters on borrow and return", () => {
+    library.borrowBook("123", "user1");
+    at("2024-03-03T10:00:00Z");
+    library.returnBook("123", "user1");
+
+    const { totals } = library.analytics;
+    expect(totals.totalBorrows).toBe(1);
+    expect(totals.popularBooks.get("123")).toBe(1);
+    expect(totals.popularityTrends.daily.get("2024-03-01")).toBe(1);
+    expect(totals.totalReturns).toBe(1);
+    expect(totals.totalDuration).toBe(2 * 24 * 60 * 60 * 1000);
+  });
+
+  test("should match statistics rebuilt from history", () => {
+    ["123", "456", "789"].forEach((isbn, index) => {
+      at(`2024-03-0${index + 1}T10:00:00Z`);
+      library.borrowBook(isbn, `user${index}`);
+      at(`2024-03-0${index + 4}T10:00:00Z`);
+      library.returnBook(isbn, `user${index}`);
+    });
+    at("2024-02-20T10:00:00Z");
+    library.borrowBook("123", "user9");
+
+    const incremental = library.getBorrowingStats();
+    library.rebuildAnalytics();
+    const rebuilt = library.getBorrowingStats();
+
+    expect(rebuilt).toEqual(incremental);
+    expect(incremental.genrePopularity.get("Code")).toBe(3);
+    expect(incremental.averageLoanDuration).toBe(3 * 24 * 60 * 60 * 1000);
+    expect(
+      library.getBorrowingStats({ to: "2024-02-29" }).popularBooks
+    ).toEqual(new Map([["123", 1]]));
+  });
+
+  test("should recover from history changed outside the library", () => {
+    library.borrowBook("123", "user1");
+    library.borrowHistory.set("user2", [
+      { isbn: "456", action: "borrow", timestamp: clock },
+    ]);
+    expect(library.getBorrowingStats().totalBorrows).toBe(1);
+
+    expect(library.rebuildAnalytics()).toEqual({
+      totalBorrows: 2,
+      totalReturns: 0,
+      timeZone: "UTC",
+    });
+    expect(library.getBorrowingStats().popularBooks.get("456")).toBe(1);
+  });
+
+  test("should count genres by the books' current categories", () => {
+    library.borrowBook("789", "user1");
+    library.setBookCategories("789", ["Fiction", "Classics"]);
+
+    const stats = library.getBorrowingStats();
+    expect(stats.genrePopularity).toEqual(
+      new Map([
+        ["Fiction", 1],
+        ["Classics", 1],
+      ])
+    );
+  });
+
+  test("should keep borrows ordered when recorded out of order", () => {
+    const aggregates = new BorrowAggregates();
+    aggregates.record("user1", {
+      action: "borrow",
+      isbn: "2",
+      timestamp: new Date("2024-03-02"),
+    });
+    aggregates.record("user2", {
+      action: "borrow",
+      isbn: "1",
+      timestamp: new Date("2024-03-01"),
+    });
+
+    expect(aggregates.borrows.map(({ isbn }) => isbn)).toEqual(["1", "2"]);
+    expect(
+      aggregates.countBorrows({ from: new Date("2024-03-02"), to: null })
+    ).toEqual(new Map([["2", 1]]));
+  });
+
+  test("should serve analytics quickly for many categories", () => {
+    for (let i = 0; i < 2000; i++) {
+      const isbn = `ISBN${i}`;
+      library.addBookWithCategory(isbn, `T${i}`, "A", 2024, `Cat${i % 200}`);
+      library.borrowBook(isbn, `user${i}`);
+      library.returnBook(isbn, `user${i}`);
+    }
+
+    const startTime = performance.now();
+    const analytics = library.getPopularityAnalytics();
+    expect(performance.now() - startTime).toBeLessThan(200);
+    expect(analytics.trendingGenres).toHaveLength(200);
+  });
+});
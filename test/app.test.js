@@ -0,0 +1,106 @@
+import { describe, expect, test, beforeEach, afterEach } from "@jest/globals";
+import { createApp } from "../src/app.js";
+import { createAuth, parseApiKeys } from "../src/auth.js";
+import { Library } from "../src/library.js";
+import { createMetrics } from "../src/metrics.js";
+
+describe("HTTP API", () => {
+  let library;
+  let server;
+  let baseUrl;
+
+  beforeEach(() => {
+    library = new Library();
+    library.addBook("123", "Test Book", "Author", 2024, 2);
+    const auth = createAuth({ apiKeys: parseApiKeys("desk:librarian:key") });
+    const metrics = createMetrics({ defaultMetrics: false });
+    server = createApp(library, { auth, metrics }).listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => server.close());
+
+  const request = (method, path, { headers = {}, body } = {}) =>
+    fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        "X-API-Key": "key",
+        "Content-Type": "application/json",
+        ...headers,
+      },
+      body: body && JSON.stringify(body),
+    }).then(async (res) => ({
+      status: res.status,
+      etag: res.headers.get("ETag"),
+      body: await res.json(),
+    }));
+
+  const rename = (ifMatch) =>
+    request("PATCH", "/books/123", {
+      headers: { "If-Match": ifMatch },
+      body: { title: "Renamed" },
+    });
+
+  describe("conditional writes", () => {
+    test("should send the book's version as its ETag", async () => {
+      expect((await request("GET", "/books/123")).etag).toBe('"1"');
+
+      const { status, etag } = await request("POST", "/books/123/borrow", {
+        body: { userId: "user1" },
+      });
+      expect(status).toBe(200);
+      expect(etag).toBe('"2"');
+    });
+
+    test("should send an ETag for a book added with a category", async () => {
+      const { status, etag } = await request("POST", "/books/category", {
+        body: {
+          isbn: "456",
+          title: "Other Book",
+          author: "Author",
+          year: 2024,
+          category: "Fiction",
+        },
+      });
+      expect(status).toBe(201);
+      expect(etag).toBe(`"${library.getBook("456").version}"`);
+    });
+
+    test("should answer a stale If-Match with 412", async () => {
+      library.updateBook("123", { title: "Changed" });
+
+      const { status, body } = await rename('"1"');
+      expect(status).toBe(412);
+      expect(body.code).toBe("VERSION_CONFLICT");
+      expect(library.getBook("123").title).toBe("Changed");
+
+      const hold = await request("POST", "/books/123/holds", {
+        headers: { "If-Match": '"1"' },
+        body: { userId: "user2" },
+      });
+      expect(hold.status).toBe(412);
+    });
+
+    test("should accept any of several listed versions", async () => {
+      const { status, etag } = await rename('"7", "1"');
+      expect(status).toBe(200);
+      expect(etag).toBe('"2"');
+    });
+
+    test("should not let a weak tag satisfy If-Match", async () => {
+      expect((await rename('W/"1"')).status).toBe(412);
+      expect((await rename('W/"1", "1"')).status).toBe(200);
+    });
+  });
+
+  test("should page through a work's editions", async () => {
+    library.addBook("456", "Test Book", "Author", 2025);
+    library.addBook("789", "Test Book", "Author", 2026);
+    library.linkEdition("456", "123");
+    library.linkEdition("789", "123");
+
+    const res = await fetch(`${baseUrl}/books/123/editions?offset=1&limit=1`);
+    expect(res.headers.get("X-Total-Count")).toBe("3");
+    expect((await res.json()).map((book) => book.isbn)).toEqual(["456"]);
+  });
+});
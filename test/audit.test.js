@@ -0,0 +1,107 @@
+import { describe, expect, test, beforeEach } from "@jest/globals";
+import { runWithAuditContext, toJSONLines } from "../src/audit.js";
+import { Library } from "../src/library.js";
+import { MemoryStorage } from "../src/storage/index.js";
+
+describe("Audit Log", () => {
+  let library;
+  let now;
+
+  beforeEach(() => {
+    now = new Date("2024-03-01T10:00:00Z");
+    library = new Library({ clock: () => now });
+  });
+
+  test("should record catalog changes with before and after values", () => {
+    library.addBook("123", "Test Bok", "Author", 2020);
+    library.updateBook("123", { title: "Test Book" });
+    library.deleteBook("123");
+
+    const events = library.getAuditLog({ entityType: "book", entityId: "123" });
+    expect(events.map((event) => event.action)).toEqual([
+      "book.add",
+      "book.update",
+      "book.delete",
+    ]);
+    expect(events[1].before.title).toBe("Test Bok");
+    expect(events[1].after.title).toBe("Test Book");
+    expect(events[2].before).toMatchObject({ title: "Test Book" });
+    expect(events[2].after).toBeNull();
+  });
+
+  test("should record circulation and category changes", () => {
+    library.addBookWithCategory("123", "Test Book", "Author", 2020, "Fiction");
+    library.borrowBook("123", "user1");
+    library.returnBook("123", "user1");
+
+    const actions = library.getAuditLog().map((event) => event.action);
+    expect(actions).toEqual([
+      "book.add",
+      "category.assign",
+      "loan.borrow",
+      "loan.return",
+    ]);
+    const [returned] = library.getAuditLog({ action: "loan.return" });
+    expect(returned.before).toMatchObject({ userId: "user1" });
+  });
+
+  test("should attribute events to the actor and request", () => {
+    runWithAuditContext({ actor: "desk", requestId: "req-1" }, () =>
+      library.addBook("123", "Test Book", "Author", 2020)
+    );
+    library.addBook("456", "Other Book", "Author", 2020);
+
+    expect(library.getAuditLog({ actor: "desk" })).toEqual([
+      expect.objectContaining({ entityId: "123", requestId: "req-1" }),
+    ]);
+    expect(library.getAuditLog({ entityId: "456" })[0].actor).toBeNull();
+  });
+
+  test("should filter by time range", () => {
+    library.addBook("123", "Test Book", "Author", 2020);
+    now = new Date("2024-03-05T10:00:00Z");
+    library.addBook("456", "Other Book", "Author", 2020);
+
+    const events = library.getAuditLog({
+      from: "2024-03-02",
+      to: "2024-03-06",
+    });
+    expect(events.map((event) => event.entityId)).toEqual(["456"]);
+    expect(() => library.getAuditLog({ from: "yesterday" })).toThrow(
+      expect.objectContaining({ code: "INVALID_QUERY" })
+    );
+  });
+
+  test("should keep events immutable", () => {
+    const book = library.addBook("123", "Test Book", "Author", 2020);
+    const [event] = library.getAuditLog();
+
+    book.title = "Changed";
+    expect(event.after.title).toBe("Test Book");
+    expect(() => {
+      event.after.title = "Changed";
+    }).toThrow(TypeError);
+  });
+
+  test("should persist events and keep them across a replacing import", () => {
+    const storage = new MemoryStorage();
+    const first = new Library({ storage });
+    first.addBook("123", "Test Book", "Author", 2020);
+    first.importData({ books: [] });
+
+    const reopened = new Library({ storage });
+    expect(reopened.getAuditLog().map((event) => event.action)).toEqual([
+      "book.add",
+      "catalog.import",
+    ]);
+  });
+
+  test("should export events as JSON Lines", () => {
+    library.addBook("123", "Test Book", "Author", 2020);
+    library.addBook("456", "Other Book", "Author", 2020);
+
+    const lines = toJSONLines(library.getAuditLog()).trim().split("\n");
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[1])).toMatchObject({ id: 2, action: "book.add" });
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, expect, test, beforeEach, afterEach } from "@jest/globals";
+import express from "express";
+import {
+  Role,
+  actingUserId,
+  createAuth,
+  parseApiKeys,
+  signToken,
+  verifyToken,
+} from "../src/auth.js";
+
+const SECRET = "test-secret";
+
+describe("Authentication", () => {
+  describe("tokens", () => {
+    test("should verify a signed token", () => {
+      const token = signToken({ sub: "alice", role: Role.PATRON }, SECRET);
+      expect(verifyToken(token, SECRET)).toMatchObject({
+        sub: "alice",
+        role: Role.PATRON,
+      });
+    });
+
+    test("should reject tampered or foreign tokens", () => {
+      const token = signToken({ sub: "alice", role: Role.PATRON }, SECRET);
+      const [header, , signature] = token.split(".");
+      const forged = Buffer.from(
+        JSON.stringify({ sub: "alice", role: Role.ADMIN, exp: 9999999999 })
+      ).toString("base64url");
+
+      expect(() =>
+        verifyToken(`${header}.${forged}.${signature}`, SECRET)
+      ).toThrow(
+        expect.objectContaining({ code: "INVALID_TOKEN", status: 401 })
+      );
+      expect(() => verifyToken(token, "other-secret")).toThrow(
+        expect.objectContaining({ code: "INVALID_TOKEN" })
+      );
+    });
+
+    test("should only issue tokens with a bounded lifetime", () => {
+      const now = new Date("2024-01-01T00:00:00Z");
+      const auth = createAuth({
+        secret: SECRET,
+        clock: () => now,
+        maxTokenLifetime: 600,
+      });
+      const claims = { sub: "alice", role: Role.PATRON };
+
+      const token = auth.issueToken(claims, 600);
+      expect(verifyToken(token, SECRET, { now: now.getTime() }).exp).toBe(
+        now.getTime() / 1000 + 600
+      );
+      [601, 0, 1.5, "3600", Infinity].forEach((expiresIn) =>
+        expect(() => auth.issueToken(claims, expiresIn)).toThrow(
+          expect.objectContaining({
+            code: "INVALID_TOKEN_REQUEST",
+            status: 400,
+          })
+        )
+      );
+    });
+
+    test("should reject expired tokens", () => {
+      const token = signToken({ sub: "alice" }, SECRET, {
+        expiresIn: 60,
+        now: Date.parse("2024-01-01T00:00:00Z"),
+      });
+      expect(() =>
+        verifyToken(token, SECRET, { now: Date.parse("2024-01-01T00:01:00Z") })
+      ).toThrow(expect.objectContaining({ code: "TOKEN_EXPIRED" }));
+    });
+  });
+
+  describe("identities", () => {
+    test("should parse API key entries", () => {
+      const keys = parseApiKeys(
+        "alice:admin:k1, desk:librarian:k2:with:colons"
+      );
+      expect(Array.from(keys.values())).toEqual([
+        { id: "alice", role: "admin" },
+        { id: "desk", role: "librarian" },
+      ]);
+      expect(() => parseApiKeys("bob:superuser:k3")).toThrow();
+    });
+
+    test("should let staff act for others but not patrons", () => {
+      const librarian = { id: "desk", role: Role.LIBRARIAN };
+      const patron = { id: "alice", role: Role.PATRON };
+
+      expect(actingUserId(librarian, "alice")).toBe("alice");
+      expect(actingUserId(patron, undefined)).toBe("alice");
+      expect(actingUserId(patron, "alice")).toBe("alice");
+      expect(() => actingUserId(patron, "bob")).toThrow(
+        expect.objectContaining({ code: "FORBIDDEN", status: 403 })
+      );
+    });
+  });
+
+  describe("middleware", () => {
+    let server;
+    let baseUrl;
+    let auth;
+
+    beforeEach(() => {
+      auth = createAuth({
+        secret: SECRET,
+        apiKeys: parseApiKeys("admin:admin:admin-key"),
+      });
+      const app = express();
+      app.use(auth.authenticate);
+      app.get(
+        "/staff",
+        auth.requireRole(Role.ADMIN, Role.LIBRARIAN),
+        (req, res) => res.json(req.user)
+      );
+      app.get("/users/:id", auth.requireSelfOrStaff("id"), (req, res) =>
+        res.json(req.user)
+      );
+
+      server = app.listen(0);
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(() => server.close());
+
+    const get = (path, headers = {}) =>
+      fetch(`${baseUrl}${path}`, { headers }).then(async (res) => ({
+        status: res.status,
+        body: await res.json(),
+      }));
+
+    test("should require credentials", async () => {
+      const { status, body } = await get("/staff");
+      expect(status).toBe(401);
+      expect(body.code).toBe("UNAUTHENTICATED");
+    });
+
+    test("should accept API keys and reject unknown ones", async () => {
+      expect(await get("/staff", { "X-API-Key": "admin-key" })).toEqual({
+        status: 200,
+        body: { id: "admin", role: "admin" },
+      });
+      expect((await get("/staff", { "X-API-Key": "nope" })).status).toBe(401);
+    });
+
+    test("should limit patrons to their own resources", async () => {
+      const token = auth.issueToken({ sub: "alice", role: Role.PATRON }, 60);
+      const headers = { Authorization: `Bearer ${token}` };
+
+      expect((await get("/users/alice", headers)).status).toBe(200);
+      expect((await get("/users/bob", headers)).status).toBe(403);
+      expect((await get("/staff", headers)).status).toBe(403);
+    });
+  });
+});
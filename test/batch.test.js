@@ -0,0 +1,158 @@
+import { describe, expect, test, beforeEach } from "@jest/globals";
+import { runBatch } from "../src/batch.js";
+import { Library } from "../src/library.js";
+
+describe("Batch Operations", () => {
+  let library;
+
+  const donation = (count) =>
+    Array.from({ length: count }, (_, i) => ({
+      op: "add",
+      isbn: `D${i}`,
+      title: `Donated ${i}`,
+      author: "Various",
+      publicationYear: 2000,
+    }));
+
+  beforeEach(() => {
+    library = new Library();
+    library.addBook("123", "Test Book", "Author", 2020);
+  });
+
+  test("should run mixed operations and report each one", () => {
+    const report = runBatch(library, [
+      ...donation(2),
+      { op: "update", isbn: "123", title: "Renamed" },
+      { op: "borrow", isbn: "D0", userId: "user1" },
+      { op: "return", isbn: "D0", userId: "user1" },
+      { op: "delete", isbn: "D1" },
+    ]);
+
+    expect(report).toMatchObject({
+      transactional: false,
+      committed: true,
+      succeeded: 6,
+      failed: 0,
+    });
+    expect(report.results[2]).toMatchObject({
+      index: 2,
+      op: "update",
+      status: "ok",
+      result: { title: "Renamed" },
+    });
+    // Results show each book as the operation left it.
+    expect(report.results[3].result.availableCopies).toBe(0);
+    expect(library.books.has("D1")).toBe(false);
+  });
+
+  test("should let staff check in a patron's loan", () => {
+    library.borrowBook("123", "user1");
+    const operations = [{ op: "return", isbn: "123", userId: "desk" }];
+
+    expect(runBatch(library, operations).results[0].error.message).toBe(
+      "No active loan found"
+    );
+    const report = runBatch(library, operations, { anyBorrower: true });
+    expect(report.results[0].status).toBe("ok");
+    expect(library.getUserHistory("user1").at(-1).action).toBe("return");
+  });
+
+  test("should keep going past failures by default", () => {
+    const report = runBatch(library, [
+      {
+        op: "add",
+        isbn: "123",
+        title: "Dup",
+        author: "A",
+        publicationYear: 2020,
+      },
+      { op: "shelve", isbn: "123" },
+      { op: "delete", isbn: "999" },
+      ...donation(1),
+    ]);
+
+    expect(report.succeeded).toBe(1);
+    expect(report.failed).toBe(3);
+    expect(report.results.map((item) => item.status)).toEqual([
+      "error",
+      "error",
+      "error",
+      "ok",
+    ]);
+    expect(report.results[1].error).toEqual({
+      message: "Unknown operation: shelve",
+      code: "INVALID_BATCH",
+    });
+    expect(report.results[2].error.code).toBe("BOOK_NOT_FOUND");
+    expect(library.books.has("D0")).toBe(true);
+  });
+
+  test("should roll back a failed transactional batch", () => {
+    const events = [];
+    library.on("*", (event) => events.push(event.type));
+    const auditSize = library.getAuditLog().length;
+
+    const report = runBatch(
+      library,
+      [
+        ...donation(2),
+        { op: "borrow", isbn: "123", userId: "user1" },
+        { op: "delete", isbn: "123" },
+        ...donation(3).slice(2),
+      ],
+      { transactional: true }
+    );
+
+    expect(report).toMatchObject({ committed: false, succeeded: 0, failed: 1 });
+    expect(report.results.map((item) => item.status)).toEqual([
+      "rolled_back",
+      "rolled_back",
+      "rolled_back",
+      "error",
+      "skipped",
+    ]);
+    expect(report.results[3].error.code).toBe("BOOK_IN_USE");
+
+    expect(library.books.has("D0")).toBe(false);
+    expect(library.getBook("123").isAvailable).toBe(true);
+    expect(library.loans.size).toBe(0);
+    expect(library.searchBooks("donated")).toHaveLength(0);
+    expect(library.getBorrowingStats().totalBorrows).toBe(0);
+    expect(library.getAuditLog()).toHaveLength(auditSize);
+    expect(events).toEqual([]);
+
+    const restored = new Library({ storage: library.storage });
+    expect(restored.books.size).toBe(1);
+  });
+
+  test("should commit a successful transactional batch", () => {
+    const events = [];
+    library.on("book.add", (event) => events.push(event.entityId));
+
+    const report = runBatch(library, donation(3), { transactional: true });
+
+    expect(report).toMatchObject({ committed: true, succeeded: 3 });
+    expect(events).toEqual(["D0", "D1", "D2"]);
+    expect(new Library({ storage: library.storage }).books.size).toBe(4);
+  });
+
+  test("should record audit snapshots as they were inside the transaction", () => {
+    library.transaction(() => {
+      library.addBook("456", "Draft", "Author", 2020);
+      library.updateBook("456", { title: "Final" });
+    });
+
+    const [added, updated] = library.getAuditLog({ entityId: "456" });
+    expect(added.after.title).toBe("Draft");
+    expect(updated.after.title).toBe("Final");
+  });
+
+  test("should reject malformed batches", () => {
+    expect(() => runBatch(library, [])).toThrow(
+      expect.objectContaining({ code: "INVALID_BATCH" })
+    );
+    expect(() => runBatch(library, donation(1001))).toThrow(
+      "at most 1000 operations"
+    );
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, expect, test, beforeEach } from "@jest/globals";
+import { Library } from "../src/library.js";
+import { validateExport } from "../src/export.js";
+
+describe("Category Management", () => {
+  let library;
+
+  beforeEach(() => {
+    library = new Library();
+    library.createCategory("Fiction");
+    library.createCategory("Fantasy", { parent: "Fiction" });
+    library.createCategory("Epic", { parent: "Fantasy" });
+    library.addBookWithCategory("123", "The Hobbit", "Tolkien", 1937, "Epic");
+    library.addBookWithCategory("456", "Emma", "Austen", 1996, "Fiction");
+    library.addBook("789", "Dune", "Herbert", 1965);
+  });
+
+  test("should create nested categories", () => {
+    expect(library.getCategory("Epic")).toEqual({
+      name: "Epic",
+      parent: "Fantasy",
+      bookCount: 1,
+    });
+    expect(library.getCategoryTree()).toEqual([
+      {
+        name: "Fiction",
+        bookCount: 1,
+        children: [
+          {
+            name: "Fantasy",
+            bookCount: 0,
+            children: [{ name: "Epic", bookCount: 1, children: [] }],
+          },
+        ],
+      },
+    ]);
+  });
+
+  test("should reject duplicate names and unknown parents", () => {
+    expect(() => library.createCategory("Fiction")).toThrow(
+      expect.objectContaining({ code: "CATEGORY_EXISTS" })
+    );
+    expect(() => library.createCategory("Horror", { parent: "Genre" })).toThrow(
+      expect.objectContaining({ code: "CATEGORY_NOT_FOUND" })
+    );
+    expect(() => library.createCategory("  ")).toThrow(
+      expect.objectContaining({ code: "INVALID_CATEGORY" })
+    );
+  });
+
+  test("should require a name when filing a new book", () => {
+    expect(() =>
+      library.addBookWithCategory("999", "Nameless", "Author", 2020, undefined)
+    ).toThrow(expect.objectContaining({ code: "INVALID_CATEGORY" }));
+    expect(() => library.addToCategory(" ", "789")).toThrow(
+      expect.objectContaining({ code: "INVALID_CATEGORY" })
+    );
+    expect(library.books.has("999")).toBe(false);
+    expect(library.getCategories().map(({ name }) => name)).not.toContain(
+      undefined
+    );
+  });
+
+  test("should rename a category and keep its books and children", () => {
+    library.renameCategory("Fantasy", "Fantasy & Myth");
+
+    expect(library.categories.has("Fantasy")).toBe(false);
+    expect(library.getCategory("Epic").parent).toBe("Fantasy & Myth");
+    expect(library.getCategory("Fantasy & Myth").parent).toBe("Fiction");
+    expect(() => library.renameCategory("Epic", "Fiction")).toThrow(
+      expect.objectContaining({ code: "CATEGORY_EXISTS" })
+    );
+  });
+
+  test("should move categories without creating cycles", () => {
+    library.moveCategory("Epic", null);
+    expect(library.getCategory("Epic").parent).toBeNull();
+
+    expect(() => library.moveCategory("Fiction", "Fantasy")).toThrow(
+      expect.objectContaining({ code: "CATEGORY_CYCLE" })
+    );
+  });
+
+  test("should merge a category into another", () => {
+    library.createCategory("Sagas", { parent: "Fiction" });
+    library.assignCategory("789", "Sagas");
+
+    library.mergeCategories("Fantasy", "Sagas");
+
+    expect(library.categories.has("Fantasy")).toBe(false);
+    expect(library.getCategory("Epic").parent).toBe("Sagas");
+    expect(() => library.mergeCategories("Fiction", "Epic")).toThrow(
+      expect.objectContaining({ code: "CATEGORY_CYCLE" })
+    );
+  });
+
+  test("should delete a category and lift its subcategories", () => {
+    library.deleteCategory("Fantasy");
+
+    expect(library.getCategory("Epic").parent).toBe("Fiction");
+    expect(library.books.has("123")).toBe(true);
+    expect(
+      library.getAuditLog({ action: "category.delete" })[0].before
+    ).toMatchObject({ name: "Fantasy", parent: "Fiction", isbns: [] });
+  });
+
+  test("should assign and unassign books to several categories", () => {
+    expect(library.assignCategory("789", "Fiction")).toEqual(["Fiction"]);
+    expect(library.assignCategory("789", "Fantasy")).toEqual([
+      "Fiction",
+      "Fantasy",
+    ]);
+    expect(library.unassignCategory("789", "Fiction")).toEqual(["Fantasy"]);
+
+    expect(() => library.assignCategory("789", "Horror")).toThrow(
+      expect.objectContaining({ code: "CATEGORY_NOT_FOUND" })
+    );
+    expect(() => library.assignCategory("000", "Fiction")).toThrow(
+      expect.objectContaining({ code: "BOOK_NOT_FOUND" })
+    );
+  });
+
+  test("should list books in subcategories on request", () => {
+    const titles = (books) => books.map((book) => book.title).sort();
+
+    expect(titles(library.getBooksByCategory("Fiction"))).toEqual(["Emma"]);
+    expect(
+      titles(
+        library.getBooksByCategory("Fiction", { includeDescendants: true })
+      )
+    ).toEqual(["Emma", "The Hobbit"]);
+    expect(titles(library.getBooks({ category: "fantasy" }))).toEqual([
+      "The Hobbit",
+    ]);
+  });
+
+  test("should roll genre popularity up the hierarchy", () => {
+    library.assignCategory("123", "Fiction");
+    library.borrowBook("123", "user1");
+    library.borrowBook("456", "user2");
+
+    const { genrePopularity } = library.getBorrowingStats();
+    expect(genrePopularity.get("Epic")).toBe(1);
+    expect(genrePopularity.get("Fantasy")).toBe(1);
+    expect(genrePopularity.get("Fiction")).toBe(2);
+  });
+
+  test("should export and import the hierarchy", () => {
+    const data = library.exportData();
+    expect(data.categoryParents).toEqual([
+      ["Fantasy", "Fiction"],
+      ["Epic", "Fantasy"],
+    ]);
+
+    const copy = new Library();
+    copy.importData(JSON.parse(JSON.stringify(data)));
+    expect(copy.getCategory("Epic").parent).toBe("Fantasy");
+
+    const cyclic = {
+      ...data,
+      categoryParents: [...data.categoryParents, ["Fiction", "Epic"]],
+    };
+    expect(validateExport(cyclic)).toContainEqual(
+      expect.objectContaining({ path: "categoryParents" })
+    );
+  });
+});
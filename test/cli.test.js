@@ -0,0 +1,221 @@
+import { describe, expect, test, beforeEach, afterEach } from "@jest/globals";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { formatTable, main } from "../src/cli.js";
+import { Library } from "../src/library.js";
+import { FileStorage } from "../src/storage/index.js";
+
+describe("Command-line Tool", () => {
+  let directory;
+  let data;
+  let stdout;
+  let stderr;
+
+  const output = () => {
+    let text = "";
+    return { write: (chunk) => (text += chunk), text: () => text };
+  };
+
+  const cli = (...argv) => main(argv, { stdout, stderr, env: {} });
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), "library-cli-"));
+    data = join(directory, "data");
+    stdout = output();
+    stderr = output();
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe("offline", () => {
+    test("should add, search and delete books in the data directory", async () => {
+      expect(
+        await cli(
+          "--data",
+          data,
+          "add",
+          "9780132350884",
+          "Clean Code",
+          "Martin",
+          "2008",
+          "--copies",
+          "2"
+        )
+      ).toBe(0);
+      expect(await cli("--data", data, "search", "clean")).toBe(0);
+      expect(stdout.text()).toMatch(
+        /9780132350884\s+Clean Code\s+Martin\s+2008\s+2\/2/
+      );
+
+      const storage = new FileStorage(data);
+      expect(new Library({ storage }).getBook("9780132350884").title).toBe(
+        "Clean Code"
+      );
+      storage.close();
+
+      expect(await cli("--data", data, "delete", "9780132350884")).toBe(0);
+      stdout = output();
+      await cli("--data", data, "search", "clean");
+      expect(stdout.text()).toBe("No books found\n");
+    });
+
+    test("should borrow and return on behalf of a member", async () => {
+      const storage = new FileStorage(data);
+      const library = new Library({ storage });
+      library.addBook("9780132350884", "Clean Code", "Martin", 2008);
+      library.registerMember("user1", "Ada");
+      storage.close();
+
+      expect(
+        await cli(
+          "--data",
+          data,
+          "borrow",
+          "9780132350884",
+          "--user",
+          "user1",
+          "--json"
+        )
+      ).toBe(0);
+      expect(JSON.parse(stdout.text()).availableCopies).toBe(0);
+      expect(
+        await cli("--data", data, "return", "9780132350884", "--user", "user1")
+      ).toBe(0);
+
+      const reopened = new Library({ storage: new FileStorage(data) });
+      expect(reopened.getUserHistory("user1")).toHaveLength(2);
+      expect(reopened.getAuditLog({ action: "loan.borrow" })[0].actor).toBe(
+        "cli"
+      );
+    });
+
+    test("should export and import the catalog", async () => {
+      await cli(
+        "--data",
+        data,
+        "add",
+        "9780132350884",
+        "Clean Code",
+        "Martin",
+        "2008"
+      );
+      const file = join(directory, "export.json");
+      expect(await cli("--data", data, "export", "--output", file)).toBe(0);
+      expect(JSON.parse(readFileSync(file, "utf8")).books).toHaveLength(1);
+
+      const other = join(directory, "other");
+      stdout = output();
+      expect(await cli("--data", other, "import", file, "--json")).toBe(0);
+      expect(JSON.parse(stdout.text())).toMatchObject({
+        mode: "replace",
+        books: { added: 1 },
+      });
+      expect(new Library({ storage: new FileStorage(other) }).books.size).toBe(
+        1
+      );
+    });
+
+    test("should print analytics, metrics and run maintenance", async () => {
+      await cli(
+        "--data",
+        data,
+        "add",
+        "9780132350884",
+        "Clean Code",
+        "Martin",
+        "2008"
+      );
+      expect(await cli("--data", data, "analytics", "--timeframe", "30d")).toBe(
+        0
+      );
+      expect(stdout.text()).toContain("Borrows");
+      expect(await cli("--data", data, "metrics")).toBe(0);
+      expect(stdout.text()).toContain("operationsPerSecond");
+      expect(await cli("--data", data, "optimize", "--json")).toBe(0);
+      expect(stdout.text()).toContain('"archivedRecords": 0');
+    });
+  });
+
+  describe("against a server", () => {
+    test("should call the matching endpoint with credentials", async () => {
+      const requests = [];
+      const fetch = async (url, init) => {
+        requests.push({ url: String(url), ...init });
+        return {
+          ok: true,
+          status: 200,
+          text: async () =>
+            JSON.stringify([
+              {
+                isbn: "123",
+                title: "Remote Book",
+                author: "Author",
+                publicationYear: 2020,
+                availableCopies: 1,
+                totalCopies: 1,
+              },
+            ]),
+        };
+      };
+
+      const code = await main(
+        ["--server", "http://library.test", "search", "remote"],
+        { stdout, stderr, env: { LIBRARY_API_KEY: "secret" }, fetch }
+      );
+
+      expect(code).toBe(0);
+      expect(requests[0]).toMatchObject({
+        url: "http://library.test/books/search?query=remote&limit=500",
+        method: "GET",
+        headers: { "X-API-Key": "secret" },
+      });
+      expect(stdout.text()).toContain("Remote Book");
+    });
+
+    test("should report server errors", async () => {
+      const fetch = async () => ({
+        ok: false,
+        status: 404,
+        text: async () =>
+          JSON.stringify({ error: "Book not found", code: "BOOK_NOT_FOUND" }),
+      });
+
+      const code = await main(
+        ["--server", "http://library.test", "delete", "123"],
+        { stdout, stderr, env: {}, fetch }
+      );
+
+      expect(code).toBe(1);
+      expect(stderr.text()).toBe("Error: Book not found (BOOK_NOT_FOUND)\n");
+    });
+  });
+
+  test("should reject invalid usage", async () => {
+    expect(await cli("shelve")).toBe(2);
+    expect(stderr.text()).toContain("Unknown command: shelve");
+    expect(await cli("add", "123")).toBe(2);
+    expect(await cli("search", "clean")).toBe(2);
+    expect(stderr.text()).toContain("Pass --data <path>");
+    expect(await cli("--data", data, "borrow", "123")).toBe(2);
+  });
+
+  test("should align table columns", () => {
+    expect(
+      formatTable(
+        [
+          { name: "a", count: 10 },
+          { name: "longer", count: 2 },
+        ],
+        [
+          ["Name", (row) => row.name],
+          ["Count", (row) => row.count],
+        ]
+      )
+    ).toBe(
+      ["Name    Count", "------  -----", "a       10", "longer  2"].join("\n")
+    );
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, expect, test, beforeEach } from "@jest/globals";
+import { formatCSV, parseCSV } from "../src/csv.js";
+import { Library } from "../src/library.js";
+import {
+  bookToMarc,
+  decodeMarc,
+  encodeMarc,
+  fromMarcXml,
+  marcToBook,
+  toMarcXml,
+} from "../src/marc.js";
+
+describe("Catalog Formats", () => {
+  let library;
+
+  beforeEach(() => {
+    library = new Library();
+  });
+
+  describe("CSV", () => {
+    test("should parse quoted fields", () => {
+      const rows = parseCSV('a,"b, c","say ""hi"""\r\n1,"multi\nline",3\n');
+      expect(rows).toEqual([
+        ["a", "b, c", 'say "hi"'],
+        ["1", "multi\nline", "3"],
+      ]);
+    });
+
+    test("should round-trip through formatCSV", () => {
+      const rows = [["Title, with comma", 'Quote "here"', "plain"]];
+      expect(parseCSV(formatCSV(rows))).toEqual(rows);
+    });
+
+    test("should import rows with mapped headers and report failures", () => {
+      const csv = [
+        "ISBN,Book Name,Author,Year,Genre,Copies",
+        "123,Clean Code,Robert Martin,2008,Programming; Classics,2",
+        "456,,Nobody,2008,,",
+        "789,Old Book,Someone,1800,,",
+        "123,Duplicate,Robert Martin,2008,,",
+        "",
+      ].join("\n");
+
+      const report = library.importFromCSV(csv, {
+        columns: { "Book Name": "title" },
+      });
+
+      expect(report.imported).toBe(1);
+      expect(report.errors).toEqual([
+        { row: 3, isbn: "456", error: "All book details are required" },
+        { row: 4, isbn: "789", error: "Invalid publication year" },
+        { row: 5, isbn: "123", error: "Book with this ISBN already exists" },
+      ]);
+      expect(library.books.get("123").totalCopies).toBe(2);
+      expect(library.getBookCategories("123")).toEqual([
+        "Programming",
+        "Classics",
+      ]);
+    });
+
+    test("should reject a header without required columns", () => {
+      expect(() => library.importFromCSV("isbn,title\n1,Book\n")).toThrow(
+        "CSV header is missing columns: author, publicationYear"
+      );
+    });
+
+    test("should export the catalog", () => {
+      library.addBookWithCategory(
+        "123",
+        "Code, Clean",
+        "Martin",
+        2008,
+        "Programming"
+      );
+      expect(library.exportToCSV()).toBe(
+        "isbn,title,author,publicationYear,category,copies\r\n" +
+          '123,"Code, Clean",Martin,2008,Programming,1\r\n'
+      );
+    });
+  });
+
+  describe("MARC21", () => {
+    const book = {
+      isbn: "9780132350884",
+      title: "Clean Code: Ünïcödé & <more>",
+      author: "Martin, Robert C.",
+      publicationYear: 2008,
+    };
+
+    test("should map books to MARC fields and back", () => {
+      const record = bookToMarc(book, ["Programming"]);
+      expect(marcToBook(record)).toEqual({
+        ...book,
+        categories: ["Programming"],
+      });
+    });
+
+    test("should round-trip binary records", () => {
+      const buffer = encodeMarc([bookToMarc(book), bookToMarc(book)]);
+      const records = decodeMarc(buffer);
+
+      expect(records).toHaveLength(2);
+      expect(records[0].leader.slice(0, 5)).toBe(
+        String(buffer.length / 2).padStart(5, "0")
+      );
+      expect(marcToBook(records[0]).title).toBe(book.title);
+    });
+
+    test("should round-trip MARCXML records", () => {
+      const xml = toMarcXml([bookToMarc(book, ["Programming"])]);
+      expect(xml).toContain("&lt;more&gt;");
+      expect(marcToBook(fromMarcXml(xml)[0])).toEqual({
+        ...book,
+        categories: ["Programming"],
+      });
+    });
+
+    test("should read prefixed MARCXML with ISBD punctuation", () => {
+      const xml = `<marc:collection xmlns:marc="http://www.loc.gov/MARC21/slim">
+        <marc:record>
+          <marc:leader>00000nam a2200000 i 4500</marc:leader>
+          <marc:datafield tag="020" ind1=" " ind2=" ">
+            <marc:subfield code="a">9780132350884 (pbk.)</marc:subfield>
+          </marc:datafield>
+          <marc:datafield tag="245" ind1="1" ind2="0">
+            <marc:subfield code="a">Clean code :</marc:subfield>
+          </marc:datafield>
+          <marc:datafield tag="100" ind1="1" ind2=" ">
+            <marc:subfield code="a">Martin, Robert C.,</marc:subfield>
+          </marc:datafield>
+          <marc:datafield tag="260" ind1=" " ind2=" ">
+            <marc:subfield code="c">c2009.</marc:subfield>
+          </marc:datafield>
+        </marc:record>
+      </marc:collection>`;
+
+      expect(marcToBook(fromMarcXml(xml)[0])).toEqual({
+        isbn: "9780132350884",
+        title: "Clean code",
+        author: "Martin, Robert C.",
+        publicationYear: 2009,
+        categories: [],
+      });
+    });
+
+    test("should import and export through the library", () => {
+      library.addBookWithCategory(
+        "123",
+        "Test Book",
+        "Author",
+        2024,
+        "Fiction"
+      );
+      library.addBook("456", "Other Book", "Author", 2023);
+
+      const target = new Library();
+      target.addBook("456", "Existing", "Author", 2020);
+      const report = target.importFromMARC(library.exportToMARC());
+
+      expect(report.imported).toBe(1);
+      expect(report.errors).toEqual([
+        { row: 2, isbn: "456", error: "Book with this ISBN already exists" },
+      ]);
+      expect(target.getBooksByCategory("Fiction")[0].title).toBe("Test Book");
+
+      const fromXml = new Library();
+      fromXml.importFromMARC(library.exportToMARC("xml"), "xml");
+      expect(fromXml.books.size).toBe(2);
+    });
+
+    test("should report a malformed MARC record and import the rest", () => {
+      library.addBook("123", "First", "Author", 2020);
+      library.addBook("456", "Second", "Author", 2021);
+      library.addBook("789", "Third", "Author", 2022);
+      const buffer = library.exportToMARC();
+      // Break the base address in the second record's leader.
+      const second = buffer.indexOf(0x1d) + 1;
+      buffer.write("abcde", second + 12, "ascii");
+
+      const target = new Library();
+      const report = target.importFromMARC(buffer);
+
+      expect(report.imported).toBe(2);
+      expect(report.errors).toEqual([
+        { row: 2, isbn: undefined, error: "Invalid MARC leader" },
+      ]);
+      expect(Array.from(target.books.keys())).toEqual(["123", "789"]);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, expect, test, beforeEach } from "@jest/globals";
+import {
+  isbn10To13,
+  isbn13To10,
+  isValidIsbn10,
+  isValidIsbn13,
+  normalizeIsbn,
+} from "../src/isbn.js";
+import { Library } from "../src/library.js";
+
+describe("ISBN Handling", () => {
+  describe("checksums and conversion", () => {
+    test("should validate ISBN-10 checksums", () => {
+      expect(isValidIsbn10("0-13-468599-7")).toBe(true);
+      expect(isValidIsbn10("080442957X")).toBe(true);
+      expect(isValidIsbn10("0134685998")).toBe(false);
+    });
+
+    test("should validate ISBN-13 checksums", () => {
+      expect(isValidIsbn13("978-0-13-468599-1")).toBe(true);
+      expect(isValidIsbn13("9780134685992")).toBe(false);
+    });
+
+    test("should convert between ISBN-10 and ISBN-13", () => {
+      expect(isbn10To13("0134685997")).toBe("9780134685991");
+      expect(isbn13To10("9780134685991")).toBe("0134685997");
+      expect(isbn13To10("9798886450000")).toBeNull();
+    });
+
+    test("should normalize hyphens and spaces to ISBN-13", () => {
+      expect(normalizeIsbn("978 0 13 468599 1")).toBe("9780134685991");
+      expect(normalizeIsbn("0-8044-2957-x")).toBe("9780804429573");
+    });
+
+    test("should report checksum failures with a code", () => {
+      expect(() => normalizeIsbn("978-0-13-468599-2")).toThrow(
+        expect.objectContaining({ code: "INVALID_ISBN_CHECKSUM" })
+      );
+    });
+
+    test("should only allow local identifiers in lenient mode", () => {
+      expect(() => normalizeIsbn("123")).toThrow(
+        expect.objectContaining({ code: "INVALID_ISBN_FORMAT" })
+      );
+      expect(normalizeIsbn(" LOCAL-42 ", "lenient")).toBe("LOCAL-42");
+      expect(() => normalizeIsbn("0134685998", "lenient")).toThrow(
+        "Invalid ISBN checksum"
+      );
+    });
+  });
+
+  describe("library lookups", () => {
+    let library;
+
+    beforeEach(() => {
+      library = new Library({ config: { isbnMode: "strict" } });
+      library.addBook("978-0-13-468599-1", "Effective Java", "Bloch", 2018);
+    });
+
+    test("should store books under the canonical ISBN-13", () => {
+      const book = library.books.get("9780134685991");
+      expect(book.isbn).toBe("9780134685991");
+      expect(book.isbn10).toBe("0134685997");
+    });
+
+    test("should treat every form of an ISBN as the same book", () => {
+      expect(() =>
+        library.addBook("0134685997", "Effective Java", "Bloch", 2018)
+      ).toThrow("Book with this ISBN already exists");
+
+      library.borrowBook("0-13-468599-7", "user1");
+      expect(library.getLoan("9780134685991-1").userId).toBe("user1");
+      library.returnBook("9780134685991", "user1");
+      expect(library.searchBooks("0134685997")).toHaveLength(1);
+      expect(library.searchBooks("978 0134 685991")[0].title).toBe(
+        "Effective Java"
+      );
+    });
+
+    test("should reject local identifiers in strict mode", () => {
+      expect(() => library.addBook("123", "Local", "Author", 2020)).toThrow(
+        expect.objectContaining({ code: "INVALID_ISBN_FORMAT" })
+      );
+    });
+  });
+});
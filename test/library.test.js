@@ -1,4 +1,5 @@
 import { describe, expect, test, beforeEach } from "@jest/globals";
+import { Book } from "../src/book.js";
 import { Library } from "../src/library.js";
 
 describe("Library Management System", () => {
@@ -110,6 +111,25 @@ describe("Library Management System", () => {
         "Book is already in library"
       );
     });
+
+    test("should not let a patron return someone else's loan", () => {
+      library.addBook("456", "Other Book", "Author", 2024);
+      library.borrowBook("456", "alice");
+
+      expect(() => library.returnBook("456", "mallory")).toThrow(
+        "No active loan found"
+      );
+      expect(() =>
+        library.returnBook("456", "mallory", { barcode: "456-1" })
+      ).toThrow("No active loan found");
+      expect(library.getLoan("456-1").userId).toBe("alice");
+
+      library.returnBook("456", "librarian", { anyBorrower: true });
+      expect(library.getUserHistory("alice").map((r) => r.action)).toEqual([
+        "borrow",
+        "return",
+      ]);
+    });
   });
 
   describe("Available Books Listing", () => {
@@ -239,6 +259,213 @@ describe("Library Management System", () => {
     });
   });
 
+  describe("Book Editing", () => {
+    beforeEach(() => {
+      library.addBookWithCategory("123", "Test Bok", "Author", 2020, "Drafts");
+    });
+
+    test("should look up a single book", () => {
+      expect(library.getBook("123").title).toBe("Test Bok");
+      expect(() => library.getBook("456")).toThrow(
+        expect.objectContaining({ code: "BOOK_NOT_FOUND" })
+      );
+    });
+
+    test("should update details and reindex them for search", () => {
+      const book = library.updateBook("123", { title: "Test Book" });
+      expect(book.title).toBe("Test Book");
+      expect(book.author).toBe("Author");
+      expect(library.searchBooks("book")).toHaveLength(1);
+    });
+
+    test("should validate edits like new books", () => {
+      expect(() => library.updateBook("123", { title: "" })).toThrow(
+        "All book details are required"
+      );
+      expect(() =>
+        library.updateBook("123", { publicationYear: 1800 })
+      ).toThrow("Invalid publication year");
+      expect(() => library.updateBook("123", { isbn: "456" })).toThrow(
+        expect.objectContaining({ code: "ISBN_IMMUTABLE" })
+      );
+      expect(library.getBook("123").title).toBe("Test Bok");
+    });
+
+    test("should replace category membership", () => {
+      library.updateBook("123", { categories: ["Fiction", "Classics"] });
+      expect(library.getBookCategories("123").sort()).toEqual([
+        "Classics",
+        "Fiction",
+      ]);
+      expect(library.getBooksByCategory("Drafts")).toHaveLength(0);
+      expect(library.getCategories()).toContainEqual({
+        name: "Fiction",
+        parent: null,
+        bookCount: 1,
+      });
+    });
+  });
+
+  describe("Book Versions", () => {
+    beforeEach(() => {
+      library.addBook("123", "Test Book", "Author", 2020, 2);
+    });
+
+    test("should bump the version on every change to the book", () => {
+      expect(library.getBook("123").version).toBe(1);
+      library.updateBook("123", { title: "Renamed" });
+      library.addCopy("123");
+      library.borrowBook("123", "user1");
+      library.returnBook("123", "user1");
+      expect(library.getBook("123").version).toBe(5);
+    });
+
+    test("should reject writes expecting a stale version", () => {
+      library.updateBook("123", { title: "Renamed" }, { expectedVersion: 1 });
+
+      expect(() =>
+        library.updateBook("123", { title: "Stale" }, { expectedVersion: 1 })
+      ).toThrow(expect.objectContaining({ code: "VERSION_CONFLICT" }));
+      expect(() =>
+        library.borrowBook("123", "user1", { expectedVersion: 1 })
+      ).toThrow(expect.objectContaining({ code: "VERSION_CONFLICT" }));
+      expect(() => library.deleteBook("123", { expectedVersion: 1 })).toThrow(
+        expect.objectContaining({ code: "VERSION_CONFLICT" })
+      );
+      expect(library.getBook("123")).toMatchObject({
+        title: "Renamed",
+        version: 2,
+        availableCopies: 2,
+      });
+      expect(library.deleteBook("123", { expectedVersion: [1, 2] })).toBe(true);
+    });
+
+    test("should check versions on renewals and holds", () => {
+      library.borrowBook("123", "user1");
+      library.borrowBook("123", "user2");
+      const stale = { expectedVersion: 1 };
+      const current = { expectedVersion: 3 };
+
+      expect(() => library.renewLoan("123", "user1", stale)).toThrow(
+        expect.objectContaining({ code: "VERSION_CONFLICT" })
+      );
+      expect(() => library.placeHold("123", "user3", stale)).toThrow(
+        expect.objectContaining({ code: "VERSION_CONFLICT" })
+      );
+      library.placeHold("123", "user3", current);
+      expect(() => library.cancelHold("123", "user3", stale)).toThrow(
+        expect.objectContaining({ code: "VERSION_CONFLICT" })
+      );
+      library.cancelHold("123", "user3", current);
+      expect(library.renewLoan("123", "user1", current).renewals).toBe(1);
+    });
+
+    test("should keep versions across restarts and merges", () => {
+      library.updateBook("123", { title: "Renamed" });
+      const restored = new Library({ storage: library.storage });
+      expect(restored.getBook("123").version).toBe(2);
+
+      const source = new Library();
+      source.addBook("123", "Imported", "Author", 2020);
+      library.importData(source.exportData(), {
+        mode: "merge",
+        onConflict: "overwrite",
+      });
+      expect(library.getBook("123")).toMatchObject({
+        title: "Imported",
+        version: 3,
+      });
+    });
+  });
+
+  describe("Bibliographic Details", () => {
+    const translation = {
+      contributors: [
+        { name: "Albert Camus", role: "author" },
+        { name: "Stuart Gilbert", role: "translator" },
+      ],
+      publisher: "Vintage",
+      edition: "1st Vintage ed.",
+      language: "en-GB",
+      pageCount: 154,
+      subjects: ["Existentialism", "Algeria"],
+      description: "A man is put on trial after a killing in Algiers.",
+    };
+
+    test("should store contributors and derive the author", () => {
+      const book = library.addBook("111", "The Stranger", null, 1946, 1, {
+        ...translation,
+      });
+
+      expect(book.author).toBe("Albert Camus");
+      expect(book).toMatchObject({
+        language: "en-gb",
+        pageCount: 154,
+        workId: "111",
+      });
+      expect(
+        library.addBook("222", "Test", "Author", 2020).contributors
+      ).toEqual([{ name: "Author", role: "author" }]);
+    });
+
+    test("should reject invalid details", () => {
+      const invalid = expect.objectContaining({ code: "INVALID_BOOK_DETAILS" });
+      expect(() =>
+        library.addBook("111", "T", "A", 2020, 1, { language: "english!" })
+      ).toThrow(invalid);
+      expect(() =>
+        library.addBook("111", "T", "A", 2020, 1, { pageCount: 0 })
+      ).toThrow(invalid);
+      expect(() =>
+        library.addBook("111", "T", null, 2020, 1, {
+          contributors: [{ name: "A", role: "narrator" }],
+        })
+      ).toThrow(invalid);
+      expect(library.books.has("111")).toBe(false);
+    });
+
+    test("should keep the author and contributors in step", () => {
+      library.addBook("111", "The Stranger", null, 1946, 1, translation);
+
+      library.updateBook("111", { author: "A. Camus" });
+      expect(library.getBook("111").contributors).toEqual([
+        { name: "A. Camus", role: "author" },
+        { name: "Stuart Gilbert", role: "translator" },
+      ]);
+
+      library.updateBook("111", {
+        contributors: [{ name: "Matthew Ward", role: "translator" }],
+      });
+      expect(library.getBook("111").author).toBe("Matthew Ward");
+    });
+
+    test("should group editions of a work", () => {
+      library.addBook("111", "L'Étranger", "Albert Camus", 1942);
+      library.addBook("222", "The Stranger", null, 1946, 1, translation);
+      library.addBook("333", "The Outsider", "Albert Camus", 1982);
+
+      library.linkEdition("222", "111");
+      expect(
+        library.linkEdition("333", "222").map((book) => book.isbn)
+      ).toEqual(["111", "222", "333"]);
+      expect(library.getBook("333").workId).toBe("111");
+
+      library.updateBook("333", { workId: null });
+      expect(library.getEditions("333")).toHaveLength(1);
+    });
+
+    test("should survive persistence", () => {
+      library.addBook("111", "The Stranger", null, 1946, 1, translation);
+
+      const restored = new Library({ storage: library.storage });
+      expect(restored.getBook("111")).toMatchObject({
+        contributors: translation.contributors,
+        subjects: ["Existentialism", "Algeria"],
+        workId: "111",
+      });
+    });
+  });
+
   describe("Enhanced Features", () => {
     describe("Performance Tests", () => {
       test("should handle bulk operations efficiently", async () => {
@@ -506,4 +733,781 @@ describe("Library Management System", () => {
       expect(analytics.recommendations.length).toBeGreaterThan(0);
     });
   });
+
+  describe("Multiple Copies", () => {
+    beforeEach(() => {
+      library.addBook("123", "Test Book", "Author", 2024, 3);
+    });
+
+    test("should create copies with generated barcodes", () => {
+      const book = library.books.get("123");
+      expect(book.totalCopies).toBe(3);
+      expect(book.copies.map((c) => c.barcode)).toEqual([
+        "123-1",
+        "123-2",
+        "123-3",
+      ]);
+    });
+
+    test("should reject invalid number of copies", () => {
+      expect(() => library.addBook("456", "Other", "Author", 2024, 0)).toThrow(
+        "Number of copies must be a positive integer"
+      );
+    });
+
+    test("should lend each copy independently", () => {
+      library.borrowBook("123", "user1");
+      library.borrowBook("123", "user2");
+      const book = library.borrowBook("123", "user3");
+
+      expect(book.availableCopies).toBe(0);
+      expect(book.isAvailable).toBe(false);
+      expect(() => library.borrowBook("123", "user4")).toThrow(
+        "Book is not available"
+      );
+    });
+
+    test("should borrow and return a specific copy by barcode", () => {
+      library.borrowBook("123", "user1", { barcode: "123-2" });
+      expect(library.getCopy("123-2").status).toBe("borrowed");
+      expect(library.getUserHistory("user1")[0].barcode).toBe("123-2");
+
+      expect(() =>
+        library.borrowBook("123", "user2", { barcode: "123-2" })
+      ).toThrow("Book is not available");
+
+      library.returnBook("123", "user1", { barcode: "123-2" });
+      expect(library.getCopy("123-2").status).toBe("available");
+    });
+
+    test("should return the copy borrowed by the same user", () => {
+      library.borrowBook("123", "user1");
+      library.borrowBook("123", "user2");
+      library.returnBook("123", "user2");
+
+      expect(library.getLoan("123-1").userId).toBe("user1");
+      expect(library.getCopy("123-2").isAvailable).toBe(true);
+    });
+
+    test("should reject unknown barcodes", () => {
+      expect(() =>
+        library.borrowBook("123", "user1", { barcode: "999-1" })
+      ).toThrow("Copy not found");
+    });
+
+    test("should add and remove copies", () => {
+      const copy = library.addCopy("123", "BARCODE-X");
+      expect(copy.barcode).toBe("BARCODE-X");
+      expect(library.books.get("123").totalCopies).toBe(4);
+      expect(() => library.addCopy("123", "BARCODE-X")).toThrow(
+        "Copy with this barcode already exists"
+      );
+
+      library.borrowBook("123", "user1", { barcode: "BARCODE-X" });
+      expect(() => library.removeCopy("BARCODE-X")).toThrow(
+        "Cannot remove borrowed copy"
+      );
+      library.returnBook("123", "user1", { barcode: "BARCODE-X" });
+      expect(library.removeCopy("BARCODE-X")).toBe(true);
+      expect(library.books.get("123").totalCopies).toBe(3);
+    });
+
+    test("should report copy counts in listings and analytics", () => {
+      library.borrowBook("123", "user1");
+
+      const [available] = library.getAvailableBooks();
+      expect(available.availableCopies).toBe(2);
+      expect(library.searchBooks("Test")[0].totalCopies).toBe(3);
+
+      const analytics = library.getPopularityAnalytics();
+      expect(analytics.inventory).toEqual([
+        { isbn: "123", title: "Test Book", availableCopies: 2, totalCopies: 3 },
+      ]);
+      expect(library.getBorrowingStats().activeLoans).toBe(1);
+    });
+
+    test("should include copy counts when serialized", () => {
+      const json = JSON.parse(JSON.stringify(library.books.get("123")));
+      expect(json.isAvailable).toBe(true);
+      expect(json.availableCopies).toBe(3);
+      expect(json.totalCopies).toBe(3);
+    });
+  });
+
+  describe("Loans and Due Dates", () => {
+    let now;
+
+    beforeEach(() => {
+      now = new Date("2024-03-01T10:00:00Z");
+      library = new Library({
+        clock: () => now,
+        config: { loanPeriodDays: 7, maxRenewals: 1 },
+      });
+      library.addBook("123", "Test Book", "Author", 2024, 2);
+      library.addBook("456", "Other Book", "Author", 2024);
+    });
+
+    const daysLater = (days) =>
+      new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+    test("should compute due date from the loan period", () => {
+      library.borrowBook("123", "user1");
+      const loan = library.getLoan("123-1");
+
+      expect(loan.userId).toBe("user1");
+      expect(loan.dueDate).toEqual(new Date("2024-03-08T10:00:00Z"));
+      expect(library.getUserHistory("user1")[0].dueDate).toEqual(loan.dueDate);
+    });
+
+    test("should close the loan on return", () => {
+      library.borrowBook("123", "user1");
+      library.returnBook("123", "user1");
+      expect(library.getLoan("123-1")).toBeUndefined();
+      expect(library.getUserLoans("user1")).toHaveLength(0);
+    });
+
+    test("should renew a loan from the renewal date", () => {
+      library.borrowBook("123", "user1");
+      now = daysLater(5);
+
+      const loan = library.renewLoan("123", "user1");
+      expect(loan.renewals).toBe(1);
+      expect(loan.dueDate).toEqual(new Date("2024-03-13T10:00:00Z"));
+      expect(library.getUserHistory("user1")[1].action).toBe("renew");
+    });
+
+    test("should enforce the renewal limit", () => {
+      library.borrowBook("123", "user1");
+      library.renewLoan("123", "user1");
+      expect(() => library.renewLoan("123", "user1")).toThrow(
+        "Renewal limit reached"
+      );
+    });
+
+    test("should reject renewing another user's loan", () => {
+      library.borrowBook("123", "user1");
+      expect(() => library.renewLoan("123", "user2")).toThrow(
+        "No active loan found"
+      );
+      expect(() =>
+        library.renewLoan("123", "user2", { barcode: "123-1" })
+      ).toThrow("No active loan found");
+    });
+
+    test("should list overdue loans library-wide and per user", () => {
+      library.borrowBook("123", "user1");
+      now = daysLater(3);
+      library.borrowBook("456", "user2");
+      library.borrowBook("123", "user2");
+      now = daysLater(6);
+
+      const overdue = library.getOverdueLoans();
+      expect(overdue.map((l) => l.userId)).toEqual(["user1"]);
+      expect(overdue[0].daysOverdue).toBe(2);
+
+      now = daysLater(10);
+      expect(library.getOverdueLoans()).toHaveLength(3);
+      expect(library.getOverdueLoans("user2")).toHaveLength(2);
+      expect(library.getOverdueLoans("user3")).toHaveLength(0);
+    });
+  });
+
+  describe("Holds", () => {
+    let now;
+
+    beforeEach(() => {
+      now = new Date("2024-03-01T10:00:00Z");
+      library = new Library({
+        clock: () => now,
+        config: { holdPickupDays: 2 },
+      });
+      library.addBook("123", "Test Book", "Author", 2024);
+      library.borrowBook("123", "user1");
+    });
+
+    const advanceDays = (days) => {
+      now = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    };
+
+    test("should queue holds first come first served", () => {
+      library.placeHold("123", "user2");
+      library.placeHold("123", "user3");
+
+      const queue = library.getHoldQueue("123");
+      expect(queue.map((h) => h.userId)).toEqual(["user2", "user3"]);
+      expect(queue[0].status).toBe("waiting");
+    });
+
+    test("should reject holds on available or already held books", () => {
+      library.addBook("456", "Other Book", "Author", 2024);
+      expect(() => library.placeHold("456", "user2")).toThrow(
+        "Book is available to borrow"
+      );
+      expect(() => library.placeHold("123", "user1")).toThrow(
+        "User already has this book on loan"
+      );
+      library.placeHold("123", "user2");
+      expect(() => library.placeHold("123", "user2")).toThrow(
+        "Hold already placed"
+      );
+    });
+
+    test("should keep returned copy for the next patron in the queue", () => {
+      library.placeHold("123", "user2");
+      library.placeHold("123", "user3");
+      const book = library.returnBook("123", "user1");
+
+      expect(book.isAvailable).toBe(false);
+      expect(library.getCopy("123-1").status).toBe("held");
+      expect(library.getCopy("123-1").heldFor).toBe("user2");
+      expect(library.getUserHolds("user2")[0].expiresAt).toEqual(
+        new Date("2024-03-03T10:00:00Z")
+      );
+
+      expect(() => library.borrowBook("123", "user3")).toThrow(
+        "Book is not available"
+      );
+      library.borrowBook("123", "user2");
+      expect(library.getLoan("123-1").userId).toBe("user2");
+      expect(library.getHoldQueue("123").map((h) => h.userId)).toEqual([
+        "user3",
+      ]);
+    });
+
+    test("should give a new copy to the first waiting hold", () => {
+      library.placeHold("123", "user2");
+      library.addCopy("123");
+
+      expect(library.getCopy("123-2").heldFor).toBe("user2");
+      expect(library.getHoldQueue("123")[0].status).toBe("ready");
+      expect(() => library.borrowBook("123", "user3")).toThrow(
+        "Book is not available"
+      );
+      library.borrowBook("123", "user2");
+      expect(library.getLoan("123-2").userId).toBe("user2");
+    });
+
+    test("should pass an expired hold on to the next patron", () => {
+      library.placeHold("123", "user2");
+      library.placeHold("123", "user3");
+      library.returnBook("123", "user1");
+
+      advanceDays(3);
+      expect(library.getHoldQueue("123")[0].userId).toBe("user3");
+      expect(library.getCopy("123-1").heldFor).toBe("user3");
+      expect(
+        library.getUserHistory("user2").map((record) => record.action)
+      ).toEqual(["hold", "hold-ready", "hold-expire"]);
+    });
+
+    test("should list a copy again once its last hold expires", () => {
+      library.placeHold("123", "user2");
+      library.returnBook("123", "user1");
+      expect(library.getAvailableBooks()).toHaveLength(0);
+
+      advanceDays(3);
+      expect(library.getAvailableBooks().map((book) => book.isbn)).toEqual([
+        "123",
+      ]);
+      expect(library.searchBooks("test")[0].availableCopies).toBe(1);
+      expect(library.getUserHistory("user2").at(-1).action).toBe("hold-expire");
+    });
+
+    test("should release the copy when a ready hold is cancelled", () => {
+      library.placeHold("123", "user2");
+      library.returnBook("123", "user1");
+      library.cancelHold("123", "user2");
+
+      expect(library.getCopy("123-1").status).toBe("available");
+      expect(library.getHoldQueue("123")).toHaveLength(0);
+      expect(library.getUserHistory("user2").at(-1).action).toBe("hold-cancel");
+      expect(() => library.cancelHold("123", "user2")).toThrow(
+        "Hold not found"
+      );
+    });
+
+    test("should block renewals while holds are pending", () => {
+      library.placeHold("123", "user2");
+      expect(() => library.renewLoan("123", "user1")).toThrow(
+        "Cannot renew a book with pending holds"
+      );
+    });
+  });
+
+  describe("Members", () => {
+    let now;
+
+    beforeEach(() => {
+      now = new Date("2024-03-01T10:00:00Z");
+      library = new Library({
+        clock: () => now,
+        config: {
+          requireMembership: true,
+          membershipDays: 30,
+          memberTypes: { student: { maxLoans: 2 }, guest: { maxLoans: 1 } },
+        },
+      });
+      library.addBook("123", "Test Book", "Author", 2024, 3);
+      library.addBook("456", "Other Book", "Author", 2024);
+    });
+
+    test("should register members with a membership expiry", () => {
+      const member = library.registerMember("user1", "Alice", "guest");
+      expect(member.type).toBe("guest");
+      expect(member.expiresAt).toEqual(new Date("2024-03-31T10:00:00Z"));
+      expect(library.getMembers()).toHaveLength(1);
+    });
+
+    test("should reject duplicate ids and unknown member types", () => {
+      library.registerMember("user1", "Alice");
+      expect(() => library.registerMember("user1", "Bob")).toThrow(
+        "Member with this id already exists"
+      );
+      expect(() => library.registerMember("user2", "Bob", "staff")).toThrow(
+        "Unknown member type: staff"
+      );
+    });
+
+    test("should reject ids that cannot key a record", () => {
+      expect(() => library.registerMember(42, "Alice")).toThrow(
+        expect.objectContaining({ code: "INVALID_ID" })
+      );
+      expect(library.members.has(42)).toBe(false);
+
+      library.config.requireMembership = false;
+      expect(() => library.borrowBook("123", 7)).toThrow(
+        expect.objectContaining({ code: "INVALID_ID" })
+      );
+      expect(library.getBook("123").availableCopies).toBe(3);
+      expect(library.borrowHistory.size).toBe(0);
+    });
+
+    test("should reject empty names and invalid expiry dates", () => {
+      expect(() =>
+        library.registerMember("user1", "Alice", "student", "not-a-date")
+      ).toThrow(expect.objectContaining({ code: "INVALID_MEMBER" }));
+      expect(() => library.registerMember("user1", "  ")).toThrow(
+        expect.objectContaining({ code: "INVALID_MEMBER" })
+      );
+      expect(library.members.has("user1")).toBe(false);
+
+      library.registerMember("user1", "Alice");
+      expect(() =>
+        library.updateMember("user1", { name: "", expiresAt: "2025-01-01" })
+      ).toThrow(expect.objectContaining({ code: "INVALID_MEMBER" }));
+      expect(() =>
+        library.updateMember("user1", { expiresAt: "not-a-date" })
+      ).toThrow("Invalid membership expiry date: not-a-date");
+      expect(library.getMember("user1")).toMatchObject({
+        name: "Alice",
+        expiresAt: new Date("2024-03-31T10:00:00Z"),
+      });
+    });
+
+    test("should refuse unknown members", () => {
+      expect(() => library.borrowBook("123", "nobody")).toThrow(
+        expect.objectContaining({ code: "MEMBER_NOT_FOUND" })
+      );
+    });
+
+    test("should refuse suspended members until reinstated", () => {
+      library.registerMember("user1", "Alice");
+      library.suspendMember("user1", "Damaged book");
+      expect(() => library.borrowBook("123", "user1")).toThrow(
+        "Member is suspended"
+      );
+
+      library.reinstateMember("user1");
+      expect(library.borrowBook("123", "user1").availableCopies).toBe(2);
+    });
+
+    test("should refuse expired members until renewed", () => {
+      library.registerMember("user1", "Alice");
+      now = new Date("2024-04-15T10:00:00Z");
+      expect(() => library.borrowBook("123", "user1")).toThrow(
+        expect.objectContaining({ code: "MEMBERSHIP_EXPIRED" })
+      );
+
+      const member = library.renewMembership("user1");
+      expect(member.expiresAt).toEqual(new Date("2024-05-15T10:00:00Z"));
+      library.borrowBook("123", "user1");
+    });
+
+    test("should enforce concurrent loan limits per member type", () => {
+      library.registerMember("user1", "Alice", "guest");
+      library.borrowBook("123", "user1");
+      expect(() => library.borrowBook("456", "user1")).toThrow(
+        expect.objectContaining({ code: "BORROWING_LIMIT_REACHED" })
+      );
+
+      library.updateMember("user1", { type: "student" });
+      library.borrowBook("456", "user1");
+    });
+
+    test("should only delete members without active loans", () => {
+      library.registerMember("user1", "Alice");
+      library.borrowBook("123", "user1");
+      expect(() => library.deleteMember("user1")).toThrow(
+        "Cannot delete member with active loans"
+      );
+
+      library.returnBook("123", "user1");
+      expect(library.deleteMember("user1")).toBe(true);
+      expect(() => library.getMember("user1")).toThrow("Member not found");
+    });
+
+    test("should still check registered members when membership is optional", () => {
+      library = new Library();
+      library.addBook("123", "Test Book", "Author", 2024);
+      library.registerMember("user1", "Alice");
+      library.suspendMember("user1");
+
+      expect(() => library.borrowBook("123", "user1")).toThrow(
+        "Member is suspended"
+      );
+      expect(library.borrowBook("123", "walk-in").isAvailable).toBe(false);
+    });
+  });
+
+  describe("Fines and Payments", () => {
+    let now;
+
+    beforeEach(() => {
+      now = new Date("2024-03-01T10:00:00Z");
+      library = new Library({
+        clock: () => now,
+        config: {
+          loanPeriodDays: 7,
+          fines: {
+            dailyRate: 50,
+            maxPerLoan: 400,
+            lostItemFee: 2000,
+            blockingBalance: 300,
+          },
+        },
+      });
+      library.addBook("123", "Test Book", "Author", 2024);
+      library.addBook("456", "Other Book", "Author", 2024);
+    });
+
+    const advanceDays = (days) => {
+      now = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    };
+
+    test("should not charge for returns on time", () => {
+      library.borrowBook("123", "user1");
+      advanceDays(7);
+      library.returnBook("123", "user1");
+      expect(library.getBalance("user1")).toBe(0);
+      expect(library.getLedger("user1")).toHaveLength(0);
+    });
+
+    test("should charge a daily fine on late returns", () => {
+      library.borrowBook("123", "user1");
+      advanceDays(9);
+      library.returnBook("123", "user1");
+
+      const [charge] = library.getLedger("user1");
+      expect(charge).toMatchObject({
+        type: "charge",
+        amount: 100,
+        reason: "Late return",
+        isbn: "123",
+      });
+      expect(library.getBalance("user1")).toBe(100);
+    });
+
+    test("should cap the fine per loan", () => {
+      library.borrowBook("123", "user1");
+      advanceDays(60);
+      library.returnBook("123", "user1");
+      expect(library.getBalance("user1")).toBe(400);
+    });
+
+    test("should charge the replacement fee for lost items", () => {
+      library.borrowBook("123", "user1");
+      advanceDays(8);
+      const book = library.reportLost("123", "user1");
+
+      expect(book.totalCopies).toBe(0);
+      expect(library.getCopy("123-1").status).toBe("lost");
+      expect(library.getUserLoans("user1")).toHaveLength(0);
+      expect(library.getBalance("user1")).toBe(2050);
+    });
+
+    test("should apply payments and waivers to the balance", () => {
+      library.borrowBook("123", "user1");
+      advanceDays(15);
+      library.returnBook("123", "user1");
+
+      library.recordPayment("user1", 250, "Cash");
+      library.waiveFine("user1", 100, "First offence");
+      expect(library.getBalance("user1")).toBe(50);
+      expect(library.getLedger("user1").map((e) => e.type)).toEqual([
+        "charge",
+        "payment",
+        "waiver",
+      ]);
+
+      expect(() => library.recordPayment("user1", 100)).toThrow(
+        "Payment exceeds outstanding balance"
+      );
+      expect(() => library.recordPayment("user1", -5)).toThrow(
+        "Amount must be a positive number of cents"
+      );
+    });
+
+    test("should block borrowing above the balance threshold", () => {
+      library.borrowBook("123", "user1");
+      advanceDays(13);
+      library.returnBook("123", "user1");
+
+      expect(() => library.borrowBook("456", "user1")).toThrow(
+        expect.objectContaining({ code: "FINES_OUTSTANDING" })
+      );
+
+      library.recordPayment("user1", 100);
+      expect(library.borrowBook("456", "user1").isAvailable).toBe(false);
+    });
+
+    test("should keep the default fine settings a config leaves out", () => {
+      library = new Library({
+        clock: () => now,
+        config: { loanPeriodDays: 7, fines: { dailyRate: 10 } },
+      });
+      library.addBook("123", "Test Book", "Author", 2024);
+      library.borrowBook("123", "user1");
+      advanceDays(307);
+      library.returnBook("123", "user1");
+
+      expect(library.config.fines).toMatchObject({
+        dailyRate: 10,
+        maxPerLoan: 1000,
+        blockingBalance: 500,
+      });
+      expect(library.getBalance("user1")).toBe(1000);
+      expect(library.config.analytics.timeZone).toBe("UTC");
+      expect(() => library.borrowBook("123", "user1")).toThrow(
+        expect.objectContaining({ code: "FINES_OUTSTANDING" })
+      );
+    });
+
+    test("should require a loan limit for every member type", () => {
+      expect(
+        new Library({ config: { memberTypes: { staff: {} } } }).config
+          .memberTypes
+      ).toEqual({ staff: { maxLoans: 20 } });
+      expect(
+        () => new Library({ config: { memberTypes: { vip: {} } } })
+      ).toThrow(expect.objectContaining({ code: "INVALID_CONFIG" }));
+    });
+
+    test("should refuse to renew an overdue loan", () => {
+      library.borrowBook("123", "user1");
+      advanceDays(9);
+
+      expect(() => library.renewLoan("123", "user1")).toThrow(
+        expect.objectContaining({ code: "LOAN_OVERDUE" })
+      );
+      library.returnBook("123", "user1");
+      expect(library.getBalance("user1")).toBe(100);
+    });
+
+    test("should block renewals above the balance threshold", () => {
+      library.borrowBook("456", "user1");
+      library.addLedgerEntry("user1", "charge", {
+        amount: 300,
+        reason: "Damaged item",
+      });
+
+      expect(() => library.renewLoan("456", "user1")).toThrow(
+        expect.objectContaining({ code: "FINES_OUTSTANDING" })
+      );
+    });
+  });
+
+  describe("Export and Import", () => {
+    let source;
+
+    beforeEach(() => {
+      source = new Library();
+      source.addBookWithCategory("123", "Test Book", "Author", 2024, "Fiction");
+      source.addBook("456", "Other Book", "Author", 2023);
+      source.borrowBook("123", "user1");
+    });
+
+    test("should export a versioned document", () => {
+      const data = JSON.parse(source.exportToJSON());
+      expect(data.schemaVersion).toBe(1);
+      expect(data.categories).toEqual([["Fiction", ["123"]]]);
+    });
+
+    test("should revive books and dates on import", () => {
+      library.importFromJSON(source.exportToJSON());
+
+      const book = library.books.get("123");
+      expect(book).toBeInstanceOf(Book);
+      expect(book.isAvailable).toBe(false);
+      expect(library.getUserHistory("user1")[0].timestamp).toBeInstanceOf(Date);
+      library.returnBook("123", "user1");
+      expect(book.isAvailable).toBe(true);
+    });
+
+    test("should report every invalid record", () => {
+      const data = source.exportData();
+      data.books[0][1] = { ...data.books[0][1].toJSON(), title: "" };
+      data.books[1][1] = { ...data.books[1][1].toJSON(), publicationYear: 1 };
+      data.borrowHistory[0][1][0] = { isbn: "123", action: "borrow" };
+
+      try {
+        library.importData(data);
+        throw new Error("Expected import to fail");
+      } catch (error) {
+        expect(error.code).toBe("INVALID_IMPORT");
+        expect(error.errors.map((e) => e.path)).toEqual([
+          "books[0].title",
+          "books[1].publicationYear",
+          "borrowHistory[0][0].timestamp",
+        ]);
+      }
+      expect(library.books.size).toBe(0);
+    });
+
+    test("should reject members of unknown types", () => {
+      source.registerMember("user1", "Alice");
+      const data = source.exportData();
+      data.members[0][1].type = "vip";
+
+      expect(() => library.importData(data)).toThrow(
+        expect.objectContaining({
+          errors: [
+            { path: "members[0].type", message: "Unknown member type: vip" },
+          ],
+        })
+      );
+      expect(library.members.size).toBe(0);
+    });
+
+    test("should reject unsupported schema versions", () => {
+      expect(() =>
+        library.importData({ ...source.exportData(), schemaVersion: 99 })
+      ).toThrow(expect.objectContaining({ code: "INVALID_IMPORT" }));
+    });
+
+    test("should migrate unversioned exports", () => {
+      library.importData({
+        books: [
+          [
+            "123",
+            {
+              isbn: "123",
+              title: "Legacy",
+              author: "Author",
+              publicationYear: 2020,
+              isAvailable: false,
+            },
+          ],
+        ],
+        categories: [["Fiction", {}]],
+        borrowHistory: [],
+      });
+
+      const book = library.books.get("123");
+      expect(book.totalCopies).toBe(1);
+      expect(book.isAvailable).toBe(false);
+    });
+
+    test("should store books from ISBN-10 exports under their ISBN-13", () => {
+      const legacy = (isbn) => [
+        isbn,
+        { isbn, title: "Legacy", author: "Author", publicationYear: 2020 },
+      ];
+      library.importData({
+        books: [legacy("0-306-40615-2")],
+        categories: [["Fiction", ["0-306-40615-2"]]],
+        borrowHistory: [
+          [
+            "user1",
+            [
+              {
+                isbn: "0306406152",
+                action: "borrow",
+                timestamp: "2024-01-01T00:00:00Z",
+              },
+            ],
+          ],
+        ],
+      });
+
+      expect(library.getBook("0306406152").isbn).toBe("9780306406157");
+      expect(library.getBooksByCategory("Fiction")).toHaveLength(1);
+      expect(library.getUserHistory("user1")[0].isbn).toBe("9780306406157");
+      expect(library.borrowBook("9780306406157", "user2").isAvailable).toBe(
+        false
+      );
+
+      expect(() =>
+        library.importData({ books: [legacy("0306406153")] })
+      ).toThrow(
+        expect.objectContaining({
+          errors: [
+            {
+              path: "books[0]",
+              message: "Invalid ISBN checksum: 0306406153",
+            },
+          ],
+        })
+      );
+    });
+
+    describe("merge mode", () => {
+      beforeEach(() => {
+        library.addBook("123", "Local Title", "Author", 2024);
+        library.addBook("789", "Local Only", "Author", 2024);
+      });
+
+      test("should skip existing ISBNs", () => {
+        const result = library.importData(source.exportData(), {
+          mode: "merge",
+          onConflict: "skip",
+        });
+
+        expect(result.books).toEqual({ added: 1, overwritten: 0, skipped: 1 });
+        expect(library.books.get("123").title).toBe("Local Title");
+        expect(library.books.has("456")).toBe(true);
+        expect(library.books.has("789")).toBe(true);
+        expect(library.getBooksByCategory("Fiction")).toHaveLength(0);
+      });
+
+      test("should overwrite existing ISBNs", () => {
+        const result = library.importData(source.exportData(), {
+          mode: "merge",
+          onConflict: "overwrite",
+        });
+
+        expect(result.books).toEqual({ added: 1, overwritten: 1, skipped: 0 });
+        expect(library.books.get("123").title).toBe("Test Book");
+        expect(library.getLoan("123-1").userId).toBe("user1");
+        expect(library.getBooksByCategory("Fiction")).toHaveLength(1);
+      });
+
+      test("should fail without changes on conflicts", () => {
+        expect(() =>
+          library.importData(source.exportData(), { mode: "merge" })
+        ).toThrow(
+          expect.objectContaining({
+            errors: [{ path: "books[0]", message: "Book already exists: 123" }],
+          })
+        );
+        expect(library.books.has("456")).toBe(false);
+      });
+
+      test("should not duplicate history when merged twice", () => {
+        const options = { mode: "merge", onConflict: "skip" };
+        library.importData(source.exportData(), options);
+        library.importData(source.exportData(), options);
+        expect(library.getUserHistory("user1")).toHaveLength(1);
+      });
+    });
+  });
 });
@@ -0,0 +1,61 @@
+import { describe, expect, test, beforeEach } from "@jest/globals";
+import express from "express";
+import { Library } from "../src/library.js";
+import { createMetrics } from "../src/metrics.js";
+
+describe("Prometheus Metrics", () => {
+  let metrics;
+  let library;
+
+  beforeEach(() => {
+    metrics = createMetrics({ defaultMetrics: false });
+    library = new Library({ onOperation: metrics.observeOperation });
+    metrics.observeLibrary(library);
+  });
+
+  test("should expose catalog and loan gauges", async () => {
+    library.addBook("123", "Test Book", "Author", 2020, 2);
+    library.borrowBook("123", "user1");
+
+    const text = await metrics.registry.metrics();
+    expect(text).toContain("library_books_total 1");
+    expect(text).toContain("library_copies_total 2");
+    expect(text).toContain("library_active_loans 1");
+    expect(text).toContain("library_overdue_loans 0");
+  });
+
+  test("should time tracked library operations", async () => {
+    library.addBook("123", "Test Book", "Author", 2020);
+    library.searchBooks("test");
+
+    const text = await metrics.registry.metrics();
+    expect(text).toContain(
+      'library_operation_duration_seconds_count{operation="addBook"} 1'
+    );
+    expect(text).toContain(
+      'library_operation_duration_seconds_count{operation="searchBooks"} 1'
+    );
+  });
+
+  test("should count requests by route pattern and status", async () => {
+    const app = express();
+    app.use(metrics.middleware);
+    app.get("/books/:isbn", (req, res) => res.status(404).end());
+
+    const server = app.listen(0);
+    const { port } = server.address();
+    try {
+      await fetch(`http://127.0.0.1:${port}/books/123`);
+      await fetch(`http://127.0.0.1:${port}/nowhere`);
+    } finally {
+      server.close();
+    }
+
+    const text = await metrics.registry.metrics();
+    expect(text).toContain(
+      'library_http_requests_total{method="GET",route="/books/:isbn",status="404"} 1'
+    );
+    expect(text).toContain('route="unmatched"');
+    expect(text).toContain("library_http_request_duration_seconds_bucket");
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, expect, test, beforeEach } from "@jest/globals";
+import { Library } from "../src/library.js";
+import {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  pageLinks,
+  paginate,
+  parsePage,
+} from "../src/pagination.js";
+
+describe("Listing and Pagination", () => {
+  describe("pages", () => {
+    test("should parse offset and limit with defaults and a ceiling", () => {
+      expect(parsePage({})).toEqual({ offset: 0, limit: DEFAULT_PAGE_SIZE });
+      expect(parsePage({ offset: "20", limit: "10" })).toEqual({
+        offset: 20,
+        limit: 10,
+      });
+      expect(parsePage({ limit: "100000" }).limit).toBe(MAX_PAGE_SIZE);
+    });
+
+    test("should reject invalid page parameters", () => {
+      expect(() => parsePage({ offset: "-1" })).toThrow(
+        expect.objectContaining({ code: "INVALID_PAGINATION" })
+      );
+      expect(() => parsePage({ limit: "0" })).toThrow(
+        expect.objectContaining({ code: "INVALID_PAGINATION" })
+      );
+    });
+
+    test("should slice items and report the total", () => {
+      const items = Array.from({ length: 25 }, (_, i) => i);
+      expect(paginate(items, { offset: 20, limit: 10 })).toEqual({
+        items: [20, 21, 22, 23, 24],
+        total: 25,
+        offset: 20,
+        limit: 10,
+      });
+    });
+
+    test("should link to neighbouring pages keeping other parameters", () => {
+      const links = pageLinks("http://localhost/books?sort=title&offset=10", {
+        total: 25,
+        offset: 10,
+        limit: 10,
+      });
+      expect(links.split(", ")).toEqual([
+        '<http://localhost/books?sort=title&offset=0&limit=10>; rel="first"',
+        '<http://localhost/books?sort=title&offset=0&limit=10>; rel="prev"',
+        '<http://localhost/books?sort=title&offset=20&limit=10>; rel="next"',
+        '<http://localhost/books?sort=title&offset=20&limit=10>; rel="last"',
+      ]);
+    });
+  });
+
+  describe("catalog listings", () => {
+    let library;
+
+    beforeEach(() => {
+      library = new Library();
+      library.addBookWithCategory("1", "Dune", "Herbert", 1965, "SF");
+      library.addBookWithCategory("2", "Emma", "Austen", 1915, "Classics");
+      library.addBookWithCategory("3", "Neuromancer", "Gibson", 1984, "SF");
+    });
+
+    test("should sort by title, author and year", () => {
+      const titles = (options) =>
+        library.getBooks(options).map((book) => book.title);
+
+      expect(titles({ sort: "title" })).toEqual([
+        "Dune",
+        "Emma",
+        "Neuromancer",
+      ]);
+      expect(titles({ sort: "author" })).toEqual([
+        "Emma",
+        "Neuromancer",
+        "Dune",
+      ]);
+      expect(titles({ sort: "year", order: "desc" })).toEqual([
+        "Neuromancer",
+        "Dune",
+        "Emma",
+      ]);
+    });
+
+    test("should sort by popularity, most borrowed first", () => {
+      library.borrowBook("3", "user1");
+      library.returnBook("3", "user1");
+      library.borrowBook("3", "user2");
+      library.borrowBook("1", "user1");
+
+      const books = library.getBooks({ sort: "popularity" });
+      expect(books.map((book) => book.isbn)).toEqual(["3", "1", "2"]);
+    });
+
+    test("should filter by category, year range and availability", () => {
+      library.borrowBook("1", "user1");
+
+      expect(library.getBooks({ category: "sf" })).toHaveLength(2);
+      expect(library.getBooks({ year: "1950..1970" })[0].title).toBe("Dune");
+      expect(
+        library.getAvailableBooks({ category: "SF" }).map((book) => book.title)
+      ).toEqual(["Neuromancer"]);
+      expect(library.getBooks({ available: "false" })).toHaveLength(1);
+    });
+
+    test("should apply listing options to search results", () => {
+      const results = library.searchBooks("year:1900..2000", {
+        category: "SF",
+        sort: "year",
+        order: "desc",
+      });
+      expect(results.map((book) => book.title)).toEqual([
+        "Neuromancer",
+        "Dune",
+      ]);
+    });
+
+    test("should reject unknown sorts", () => {
+      expect(() => library.getBooks({ sort: "price" })).toThrow(
+        expect.objectContaining({ code: "INVALID_QUERY" })
+      );
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, expect, test, beforeEach } from "@jest/globals";
+import { Library } from "../src/library.js";
+import {
+  buildBorrowGraph,
+  categoryAffinity,
+  coBorrowed,
+} from "../src/recommendations.js";
+
+describe("Recommendations", () => {
+  let library;
+
+  const borrowAndReturn = (isbn, userId) => {
+    library.borrowBook(isbn, userId);
+    library.returnBook(isbn, userId);
+  };
+
+  beforeEach(() => {
+    library = new Library();
+    library.addBookWithCategory("1", "Dune", "Herbert", 1965, "SciFi");
+    library.addBookWithCategory("2", "Hyperion", "Simmons", 1989, "SciFi");
+    library.addBookWithCategory("3", "Ulysses", "Joyce", 1922, "Classics");
+    library.addBookWithCategory("4", "Solaris", "Lem", 1961, "SciFi");
+    library.addBook("5", "Rebecca", "du Maurier", 1938);
+
+    borrowAndReturn("1", "alice");
+    borrowAndReturn("2", "alice");
+    borrowAndReturn("1", "bob");
+    borrowAndReturn("2", "bob");
+    borrowAndReturn("3", "bob");
+    borrowAndReturn("3", "carol");
+  });
+
+  test("should relate books borrowed by the same patrons", () => {
+    const graph = buildBorrowGraph(library.borrowHistory);
+    const related = coBorrowed(graph, "1");
+
+    expect(related.get("2")).toEqual({ similarity: 1, coBorrowers: 2 });
+    expect(related.get("3").coBorrowers).toBe(1);
+    expect(related.get("3").similarity).toBeCloseTo(0.5);
+    expect(related.has("1")).toBe(false);
+  });
+
+  test("should measure category affinity as a share of books read", () => {
+    const categoriesOf = (isbn) => (isbn === "3" ? ["Classics"] : ["SciFi"]);
+    const affinity = categoryAffinity(new Set(["1", "2", "3"]), categoriesOf);
+
+    expect(affinity.get("SciFi")).toBeCloseTo(2 / 3);
+    expect(affinity.get("Classics")).toBeCloseTo(1 / 3);
+  });
+
+  test("should list related books with reasons", () => {
+    const related = library.getRelatedBooks("1");
+
+    expect(related.map(({ book }) => book.isbn)).toEqual(["2", "3", "4"]);
+    expect(related[0]).toMatchObject({
+      score: 1.5,
+      coBorrowers: 2,
+      categories: ["SciFi"],
+    });
+    expect(related[1]).toMatchObject({ coBorrowers: 1, categories: [] });
+    expect(related[2]).toMatchObject({ coBorrowers: 0, categories: ["SciFi"] });
+  });
+
+  test("should reject related books for an unknown ISBN", () => {
+    expect(() => library.getRelatedBooks("999")).toThrow("Book not found");
+  });
+
+  test("should recommend co-borrowed books and favourite categories", () => {
+    const recommendations = library.getRecommendations("carol");
+
+    expect(recommendations.map(({ book }) => book.isbn)).toEqual(["1", "2"]);
+    expect(recommendations[0].coBorrowers).toBe(1);
+  });
+
+  test("should exclude books the patron has read, borrowed or held", () => {
+    library.borrowBook("4", "alice");
+
+    expect(
+      library.getRecommendations("alice").map(({ book }) => book.isbn)
+    ).toEqual(["3"]);
+  });
+
+  test("should filter to available books", () => {
+    library.borrowBook("4", "bob");
+
+    const isbns = library
+      .getRecommendations("carol", { availableOnly: true })
+      .map(({ book }) => book.isbn);
+    expect(isbns).toEqual(["1", "2"]);
+
+    const related = library
+      .getRelatedBooks("1", { availableOnly: true })
+      .map(({ book }) => book.isbn);
+    expect(related).not.toContain("4");
+  });
+
+  test("should fall back to popular books without history", () => {
+    const recommendations = library.getRecommendations("dave", { limit: 2 });
+
+    expect(recommendations.map(({ book }) => book.isbn)).toEqual(["1", "2"]);
+    expect(recommendations[0].score).toBe(0);
+  });
+});
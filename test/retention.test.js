@@ -0,0 +1,138 @@
+import { describe, expect, test, beforeEach } from "@jest/globals";
+import { Library } from "../src/library.js";
+import { archivableCount } from "../src/retention.js";
+import { MemoryStorage } from "../src/storage/memory.js";
+
+describe("History Retention", () => {
+  let library;
+  let clock;
+
+  const at = (date) => {
+    clock = new Date(date);
+  };
+
+  const loan = (isbn, userId, borrowed, returned) => {
+    at(borrowed);
+    library.borrowBook(isbn, userId);
+    if (returned) {
+      at(returned);
+      library.returnBook(isbn, userId);
+    }
+  };
+
+  beforeEach(() => {
+    clock = new Date("2022-01-10T10:00:00Z");
+    library = new Library({
+      clock: () => clock,
+      config: {
+        retention: { historyDays: 365, anonymize: true, intervalHours: 24 },
+      },
+    });
+    library.addBook("123", "JavaScript", "Author", 2020);
+    library.addBook("456", "Python", "Author", 2021);
+  });
+
+  test("should archive old history under anonymous ids", () => {
+    loan("123", "user1", "2022-01-10T10:00:00Z", "2022-01-20T10:00:00Z");
+    loan("456", "user1", "2023-06-01T10:00:00Z", "2023-06-05T10:00:00Z");
+    loan("123", "user2", "2022-02-01T10:00:00Z", "2022-02-03T10:00:00Z");
+    at("2023-07-01T10:00:00Z");
+
+    const report = library.applyRetention();
+
+    expect(report).toMatchObject({
+      archivedRecords: 4,
+      patrons: 2,
+      anonymized: true,
+    });
+    expect(library.getUserHistory("user1").map((r) => r.isbn)).toEqual([
+      "456",
+      "456",
+    ]);
+    expect(library.borrowHistory.has("user2")).toBe(false);
+    const ids = Array.from(library.archive.records.keys());
+    expect(ids).toHaveLength(2);
+    ids.forEach((id) => expect(id).toMatch(/^anon-/));
+    expect(library.archive.size).toBe(4);
+    expect(library.getAuditLog({ action: "history.archive" })).toHaveLength(1);
+  });
+
+  test("should keep analytics intact", () => {
+    loan("123", "user1", "2022-01-10T10:00:00Z", "2022-01-20T10:00:00Z");
+    loan("456", "user1", "2022-03-01T10:00:00Z", "2022-03-04T10:00:00Z");
+    loan("123", "user2", "2023-06-01T10:00:00Z", "2023-06-02T10:00:00Z");
+    at("2023-07-01T10:00:00Z");
+    const before = library.getBorrowingStats();
+
+    library.applyRetention();
+
+    expect(library.getBorrowingStats()).toEqual(before);
+    library.rebuildAnalytics();
+    expect(library.getBorrowingStats()).toEqual(before);
+    expect(before.totalBorrows).toBe(3);
+  });
+
+  test("should not separate a loan that is still out", () => {
+    loan("123", "user1", "2022-01-10T10:00:00Z");
+    at("2023-07-01T10:00:00Z");
+
+    expect(library.applyRetention().archivedRecords).toBe(0);
+    expect(library.getUserHistory("user1")).toHaveLength(1);
+  });
+
+  test("should keep patron ids when anonymization is off", () => {
+    library.config.retention = {
+      ...library.config.retention,
+      anonymize: false,
+    };
+    loan("123", "user1", "2022-01-10T10:00:00Z", "2022-01-20T10:00:00Z");
+    at("2023-07-01T10:00:00Z");
+
+    library.applyRetention();
+
+    expect(library.archive.records.get("user1")).toHaveLength(2);
+    expect(library.getBorrowingStats().totalBorrows).toBe(1);
+  });
+
+  test("should persist the archive in its own storage", () => {
+    const storage = new MemoryStorage();
+    const archive = new MemoryStorage();
+    library = new Library({ clock: () => clock, storage, archive });
+    library.addBook("123", "JavaScript", "Author", 2020);
+    loan("123", "user1", "2022-01-10T10:00:00Z", "2022-01-20T10:00:00Z");
+    at("2023-07-01T10:00:00Z");
+
+    library.applyRetention();
+
+    expect(storage.load().historyArchive).toBeUndefined();
+    expect(archive.load().historyArchive).toHaveLength(1);
+    const reopened = new Library({ clock: () => clock, storage, archive });
+    expect(reopened.archive.size).toBe(2);
+    expect(reopened.getBorrowingStats().totalBorrows).toBe(1);
+  });
+
+  test("should run from optimizePerformance at most once an hour", () => {
+    loan("123", "user1", "2022-01-10T10:00:00Z", "2022-01-20T10:00:00Z");
+    at("2023-07-01T10:00:00Z");
+
+    expect(library.optimizePerformance().archivedRecords).toBe(2);
+    expect(library.optimizePerformance()).toBeNull();
+  });
+
+  test("should only split history where a return keeps its borrow", () => {
+    const records = [
+      { action: "borrow", timestamp: new Date("2022-01-01") },
+      { action: "hold", timestamp: new Date("2022-01-02") },
+      { action: "return", timestamp: new Date("2022-01-03") },
+      { action: "borrow", timestamp: new Date("2022-01-04") },
+      { action: "return", timestamp: new Date("2023-01-05") },
+    ];
+    const cutoff = new Date("2022-06-01");
+
+    expect(archivableCount(records, cutoff)).toBe(3);
+    expect(archivableCount(records.slice(0, 4), cutoff)).toBe(4);
+    expect(
+      archivableCount(records.slice(0, 4), cutoff, { hasOpenLoan: true })
+    ).toBe(3);
+  });
+});
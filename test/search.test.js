@@ -0,0 +1,183 @@
+import { describe, expect, test, beforeEach } from "@jest/globals";
+import { Library } from "../src/library.js";
+import { parseQuery, tokenize } from "../src/search-index.js";
+
+describe("Full-text Search", () => {
+  let library;
+
+  beforeEach(() => {
+    library = new Library();
+    library.addBookWithCategory(
+      "9780261103344",
+      "The Hobbit",
+      "J. R. R. Tolkien",
+      1937,
+      "Fantasy"
+    );
+    library.addBookWithCategory(
+      "9780261103252",
+      "The Fellowship of the Ring",
+      "J. R. R. Tolkien",
+      1954,
+      "Fantasy"
+    );
+    library.addBook(
+      "9780007136582",
+      "Tolkien: A Biography",
+      "Michael White",
+      2001
+    );
+    library.addBook("9782070360024", "L'Étranger", "Albert Camus", 1942);
+  });
+
+  describe("tokenizing and parsing", () => {
+    test("should fold case and diacritics", () => {
+      expect(tokenize("L'Étranger, Garçon")).toEqual([
+        "l",
+        "etranger",
+        "garcon",
+      ]);
+    });
+
+    test("should split fielded queries into terms and filters", () => {
+      expect(
+        parseQuery(
+          'title:"the ring" author:tolkien year:1950..1960 available:true'
+        )
+      ).toEqual({
+        terms: [
+          { field: "title", text: "the" },
+          { field: "title", text: "ring" },
+          { field: "author", text: "tolkien" },
+        ],
+        filters: {
+          years: [{ from: 1950, to: 1960 }],
+          categories: [],
+          languages: [],
+          subjects: [],
+          publishers: [],
+          available: true,
+        },
+      });
+    });
+
+    test("should reject malformed filters", () => {
+      expect(() => parseQuery("year:fifties")).toThrow(
+        expect.objectContaining({ code: "INVALID_QUERY" })
+      );
+      expect(() => parseQuery("available:maybe")).toThrow(
+        expect.objectContaining({ code: "INVALID_QUERY" })
+      );
+    });
+  });
+
+  describe("ranking and matching", () => {
+    test("should rank title matches above author matches", () => {
+      const titles = library.searchBooks("tolkien").map((book) => book.title);
+      expect(titles[0]).toBe("Tolkien: A Biography");
+      expect(titles).toHaveLength(3);
+    });
+
+    test("should require every word to match", () => {
+      const results = library.searchBooks("tolkien ring");
+      expect(results.map((book) => book.title)).toEqual([
+        "The Fellowship of the Ring",
+      ]);
+    });
+
+    test("should match without accents and by word prefix", () => {
+      expect(library.searchBooks("etranger")[0].author).toBe("Albert Camus");
+      expect(library.searchBooks("fellow")).toHaveLength(1);
+    });
+
+    test("should tolerate typos", () => {
+      expect(library.searchBooks("hobit")[0].title).toBe("The Hobbit");
+      expect(library.searchBooks("tolkein")).toHaveLength(3);
+    });
+
+    test("should not fuzz numbers", () => {
+      expect(library.searchBooks("1938")).toHaveLength(0);
+    });
+  });
+
+  describe("fielded queries", () => {
+    test("should restrict words to a field", () => {
+      const results = library.searchBooks("author:tolkien");
+      expect(results.map((book) => book.isbn).sort()).toEqual([
+        "9780261103252",
+        "9780261103344",
+      ]);
+    });
+
+    test("should filter by year range, category and availability", () => {
+      expect(library.searchBooks("year:1950..1960")).toHaveLength(1);
+      expect(library.searchBooks("year:..1945")).toHaveLength(2);
+      expect(library.searchBooks("category:fantasy year:1937")).toHaveLength(1);
+
+      library.borrowBook("9780261103344", "user1");
+      const available = library.searchBooks("category:Fantasy available:true");
+      expect(available.map((book) => book.title)).toEqual([
+        "The Fellowship of the Ring",
+      ]);
+    });
+  });
+
+  describe("bibliographic fields", () => {
+    beforeEach(() => {
+      library.updateBook("9782070360024", {
+        publisher: "Gallimard",
+        language: "fr",
+        subjects: ["Existentialism"],
+        description: "Meursault attends his mother's funeral in Algiers.",
+      });
+      library.addBook("9780679720201", "The Stranger", null, 1946, 1, {
+        contributors: [
+          { name: "Albert Camus", role: "author" },
+          { name: "Matthew Ward", role: "translator" },
+        ],
+        publisher: "Vintage",
+        language: "en-US",
+        subjects: ["Existentialism"],
+      });
+    });
+
+    test("should search contributors, publishers and subjects", () => {
+      expect(library.searchBooks("translator ward")).toHaveLength(0);
+      expect(library.searchBooks("contributor:ward")).toHaveLength(1);
+      expect(library.searchBooks("publisher:gallimard")[0].title).toBe(
+        "L'Étranger"
+      );
+      expect(library.searchBooks("existentialism")).toHaveLength(2);
+      expect(library.searchBooks("funeral")).toHaveLength(1);
+    });
+
+    test("should filter by language, subject and publisher", () => {
+      expect(
+        library.searchBooks("camus language:en").map((book) => book.title)
+      ).toEqual(["The Stranger"]);
+      expect(library.getBooks({ language: "fr" })).toHaveLength(1);
+      expect(library.getBooks({ subject: "existentialism" })).toHaveLength(2);
+      expect(library.getBooks({ publisher: "VINTAGE" })).toHaveLength(1);
+      expect(() => library.getBooks({ language: "??" })).toThrow(
+        expect.objectContaining({ code: "INVALID_QUERY" })
+      );
+    });
+  });
+
+  describe("index maintenance", () => {
+    test("should drop deleted books from the index", () => {
+      library.deleteBook("9780261103344");
+      expect(library.searchBooks("hobbit")).toHaveLength(0);
+    });
+
+    test("should index books restored from an import", () => {
+      const restored = new Library();
+      restored.importData(library.exportData());
+      expect(restored.searchBooks("camus")).toHaveLength(1);
+
+      const merged = new Library();
+      merged.importData(library.exportData(), { mode: "merge" });
+      expect(merged.searchBooks("fellowship")).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, expect, test, beforeEach, afterEach } from "@jest/globals";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Book } from "../src/book.js";
+import { Library } from "../src/library.js";
+import { FileStorage, MemoryStorage } from "../src/storage/index.js";
+import { SqliteStorage } from "../src/storage/sqlite.js";
+
+const populate = (library) => {
+  library.addBookWithCategory("123", "Test Book", "Author", 2024, "Fiction", 2);
+  library.addBook("456", "Other Book", "Author", 2023);
+  library.registerMember("user1", "Alice");
+  library.borrowBook("123", "user1");
+  library.borrowBook("456", "user1");
+  library.placeHold("456", "user2");
+};
+
+const expectRestored = (library) => {
+  const book = library.books.get("123");
+  expect(book).toBeInstanceOf(Book);
+  expect(book.availableCopies).toBe(1);
+  expect(library.getBooksByCategory("Fiction")).toHaveLength(1);
+  expect(library.getUserHistory("user1")[0].timestamp).toBeInstanceOf(Date);
+  expect(library.getLoan("123-1").dueDate).toBeInstanceOf(Date);
+  expect(library.getHoldQueue("456")[0].userId).toBe("user2");
+  expect(library.getMember("user1").name).toBe("Alice");
+
+  library.returnBook("456", "user1");
+  expect(library.getCopy("456-1").heldFor).toBe("user2");
+};
+
+describe("Storage Backends", () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), "library-"));
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("should reject the same keys on every backend", () => {
+    const backends = [
+      new MemoryStorage(),
+      new FileStorage(directory),
+      new SqliteStorage(join(directory, "library.sqlite")),
+    ];
+    backends.forEach((storage) => {
+      expect(() => storage.put("members", 42, {})).toThrow(
+        "Invalid storage key"
+      );
+      expect(() => storage.delete("members", "")).toThrow(
+        "Invalid storage key"
+      );
+      expect(storage.load()).toEqual({});
+      storage.close();
+    });
+  });
+
+  describe("MemoryStorage", () => {
+    test("should be the default backend", () => {
+      expect(new Library().storage).toBeInstanceOf(MemoryStorage);
+    });
+
+    test("should restore a library from the same storage", () => {
+      const storage = new MemoryStorage();
+      populate(new Library({ storage }));
+      expectRestored(new Library({ storage }));
+    });
+
+    test("should drop deleted records", () => {
+      const storage = new MemoryStorage();
+      const library = new Library({ storage });
+      library.addBookWithCategory("123", "Test", "Author", 2024, "Fiction");
+      library.deleteBook("123");
+
+      const restored = new Library({ storage });
+      expect(restored.books.size).toBe(0);
+      expect(restored.getBooksByCategory("Fiction")).toHaveLength(0);
+    });
+  });
+
+  describe("FileStorage", () => {
+    test("should restore a library from the journal", () => {
+      const storage = new FileStorage(directory);
+      populate(new Library({ storage }));
+      expectRestored(new Library({ storage: new FileStorage(directory) }));
+    });
+
+    test("should compact the journal into a snapshot", () => {
+      const storage = new FileStorage(directory, { compactEvery: 5 });
+      populate(new Library({ storage }));
+
+      const snapshot = JSON.parse(
+        readFileSync(join(directory, "snapshot.json"), "utf8")
+      );
+      expect(Object.keys(snapshot)).toContain("books");
+      expectRestored(new Library({ storage: new FileStorage(directory) }));
+    });
+
+    test("should ignore a torn final journal line", () => {
+      const storage = new FileStorage(directory);
+      new Library({ storage }).addBook("123", "Test", "Author", 2024);
+      writeFileSync(join(directory, "journal.jsonl"), '{"op":"pu', {
+        flag: "a",
+      });
+
+      const restored = new Library({ storage: new FileStorage(directory) });
+      expect(restored.books.get("123").title).toBe("Test");
+
+      restored.addBook("456", "After Crash", "Author", 2024);
+      const reopened = new Library({ storage: new FileStorage(directory) });
+      expect(reopened.books.get("123").title).toBe("Test");
+      expect(reopened.books.get("456").title).toBe("After Crash");
+    });
+
+    test("should replace everything on import", () => {
+      const storage = new FileStorage(directory);
+      const library = new Library({ storage });
+      library.addBook("123", "Test", "Author", 2024);
+
+      const source = new Library();
+      source.addBook("456", "Other", "Author", 2024);
+      library.importFromJSON(source.exportToJSON());
+
+      const restored = new Library({ storage: new FileStorage(directory) });
+      expect(Array.from(restored.books.keys())).toEqual(["456"]);
+    });
+
+    test("should restart from the snapshot written on close", () => {
+      const storage = new FileStorage(directory);
+      populate(new Library({ storage }));
+      storage.close();
+
+      expect(readFileSync(join(directory, "journal.jsonl"), "utf8")).toBe("");
+      expectRestored(new Library({ storage: new FileStorage(directory) }));
+    });
+
+    test("should reject keys the snapshot cannot hold", () => {
+      const storage = new FileStorage(directory);
+      expect(() => storage.put("categories", undefined, [])).toThrow(
+        "Invalid storage key"
+      );
+      expect(() => storage.delete("members", 5)).toThrow("Invalid storage key");
+      storage.close();
+
+      expect(new FileStorage(directory).load()).toEqual({});
+    });
+  });
+
+  describe("SqliteStorage", () => {
+    test("should restore a library from the database", () => {
+      const path = join(directory, "library.sqlite");
+      const storage = new SqliteStorage(path);
+      populate(new Library({ storage }));
+      storage.close();
+
+      const reopened = new SqliteStorage(path);
+      expectRestored(new Library({ storage: reopened }));
+      reopened.close();
+    });
+  });
+});
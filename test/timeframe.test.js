@@ -0,0 +1,151 @@
+import { describe, expect, test, beforeEach } from "@jest/globals";
+import { Library } from "../src/library.js";
+import { bucketKeys, resolveTimeframe } from "../src/timeframe.js";
+
+describe("Timeframes", () => {
+  const now = new Date("2024-03-15T12:00:00Z");
+
+  test("should resolve presets to rolling windows", () => {
+    const window = resolveTimeframe({ timeframe: "7d" }, now);
+
+    expect(window.from).toEqual(new Date("2024-03-08T12:00:00Z"));
+    expect(window.to).toEqual(now);
+    expect(window.previous).toEqual({
+      from: new Date("2024-03-01T12:00:00Z"),
+      to: new Date("2024-03-08T12:00:00Z"),
+    });
+  });
+
+  test("should leave the whole history unbounded", () => {
+    expect(resolveTimeframe({}, now)).toEqual({
+      from: null,
+      to: null,
+      timeZone: "UTC",
+      previous: null,
+    });
+  });
+
+  test("should read dates as whole days in the time zone", () => {
+    const window = resolveTimeframe(
+      { from: "2024-03-01", to: "2024-03-10", timeZone: "America/New_York" },
+      now
+    );
+
+    expect(window.from).toEqual(new Date("2024-03-01T05:00:00Z"));
+    // Daylight saving time starts on March 10 in New York.
+    expect(window.to).toEqual(new Date("2024-03-11T04:00:00Z"));
+  });
+
+  test("should reject invalid timeframes", () => {
+    expect(() => resolveTimeframe({ timeframe: "3w" }, now)).toThrow(
+      "timeframe must be one of"
+    );
+    expect(() => resolveTimeframe({ from: "yesterday" }, now)).toThrow(
+      "from must be an ISO 8601 date"
+    );
+    expect(() =>
+      resolveTimeframe({ from: "2024-03-10", to: "2024-03-01" }, now)
+    ).toThrow("from must be before to");
+    expect(() => resolveTimeframe({ timeZone: "Mars/Olympus" }, now)).toThrow(
+      'Unknown time zone "Mars/Olympus"'
+    );
+  });
+
+  test("should bucket dates in the time zone", () => {
+    const late = new Date("2024-03-01T02:00:00Z");
+
+    expect(bucketKeys("UTC")(late)).toEqual({
+      day: "2024-03-01",
+      week: "2024-9",
+      month: "2024-3",
+    });
+    expect(bucketKeys("America/Los_Angeles")(late)).toEqual({
+      day: "2024-02-29",
+      week: "2024-9",
+      month: "2024-2",
+    });
+  });
+
+  describe("Windowed Analytics", () => {
+    let library;
+    let clock;
+
+    const borrowOn = (date, isbn, userId) => {
+      clock = new Date(date);
+      library.borrowBook(isbn, userId);
+      library.returnBook(isbn, userId);
+    };
+
+    beforeEach(() => {
+      clock = now;
+      library = new Library({ clock: () => clock });
+      library.addBook("123", "Old Favourite", "Author", 2020);
+      library.addBook("456", "New Release", "Author", 2024);
+
+      borrowOn("2023-12-01T10:00:00Z", "123", "user1");
+      borrowOn("2024-01-20T10:00:00Z", "123", "user2");
+      borrowOn("2024-03-01T10:00:00Z", "456", "user1");
+      borrowOn("2024-03-10T10:00:00Z", "456", "user2");
+      borrowOn("2024-03-12T10:00:00Z", "123", "user3");
+      clock = now;
+    });
+
+    test("should count only borrows inside the timeframe", () => {
+      const stats = library.getBorrowingStats({ timeframe: "30d" });
+
+      expect(stats.totalBorrows).toBe(3);
+      expect(stats.popularBooks.get("123")).toBe(1);
+      expect(stats.popularityTrends.monthly.get("2024-3")).toBe(3);
+    });
+
+    test("should score recent borrows per book", () => {
+      const scores = library.getBorrowingStats().popularityScores;
+
+      expect(scores.get("123").factors).toMatchObject({
+        totalBorrows: 3,
+        recentBorrows: 1,
+      });
+      expect(scores.get("456").factors).toMatchObject({
+        totalBorrows: 2,
+        recentBorrows: 2,
+      });
+    });
+
+    test("should compare with the previous period", () => {
+      const analytics = library.getPopularityAnalytics("30d");
+
+      expect(analytics.timeframe.from).toEqual(
+        new Date("2024-02-14T12:00:00Z")
+      );
+      expect(analytics.comparison).toMatchObject({
+        totalBorrows: 1,
+        change: 2,
+        changePercent: 200,
+      });
+      expect(analytics.topBooks[0]).toMatchObject({
+        isbn: "456",
+        borrowCount: 2,
+        previousBorrowCount: 0,
+      });
+      expect(library.getPopularityAnalytics().comparison).toBeNull();
+    });
+
+    test("should use the configured analytics time zone", () => {
+      borrowOn("2024-03-13T20:00:00Z", "456", "user3");
+      library.config.analytics.timeZone = "Pacific/Auckland";
+      const range = { from: "2024-03-11", to: "2024-03-13" };
+
+      const local = library.getBorrowingStats(range);
+      expect(local.totalBorrows).toBe(1);
+      expect(Array.from(local.popularityTrends.daily.keys())).toEqual([
+        "2024-03-12",
+      ]);
+
+      const utc = library.getBorrowingStats({ ...range, timeZone: "UTC" });
+      expect(Array.from(utc.popularityTrends.daily.keys())).toEqual([
+        "2024-03-12",
+        "2024-03-13",
+      ]);
+    });
+  });
+});
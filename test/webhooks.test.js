@@ -0,0 +1,186 @@
+import { describe, expect, test, beforeEach, afterEach } from "@jest/globals";
+import { createServer } from "node:http";
+import { EventType } from "../src/events.js";
+import { Library } from "../src/library.js";
+import { MemoryStorage } from "../src/storage/index.js";
+import { WebhookDispatcher, signPayload } from "../src/webhooks.js";
+
+// Records every request and answers with the next queued status (200 once
+// the queue is empty).
+function startReceiver(statuses = []) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() ?? 200;
+      res.end();
+    });
+  });
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        server,
+        requests,
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+      })
+    )
+  );
+}
+
+describe("Domain Events and Webhooks", () => {
+  let library;
+
+  beforeEach(() => {
+    library = new Library();
+  });
+
+  describe("domain events", () => {
+    test("should emit typed events for changes", () => {
+      const received = [];
+      library.on(EventType.BOOK_BORROWED, (event) => received.push(event));
+      const unsubscribe = library.on("*", (event) => received.push(event.type));
+
+      library.addBook("123", "Test Book", "Author", 2020);
+      unsubscribe();
+      library.borrowBook("123", "user1");
+
+      expect(received).toEqual([
+        "book.add",
+        expect.objectContaining({
+          type: "loan.borrow",
+          entityId: "123-1",
+          after: expect.objectContaining({ userId: "user1" }),
+        }),
+      ]);
+    });
+
+    test("should not let a failing listener undo a change", () => {
+      const error = console.error;
+      console.error = () => {};
+      library.on(EventType.BOOK_ADDED, () => {
+        throw new Error("listener failed");
+      });
+      try {
+        expect(() =>
+          library.addBook("123", "Test Book", "Author", 2020)
+        ).not.toThrow();
+      } finally {
+        console.error = error;
+      }
+      expect(library.books.has("123")).toBe(true);
+    });
+  });
+
+  describe("webhooks", () => {
+    let receiver;
+    let webhooks;
+
+    afterEach(async () => {
+      webhooks?.close();
+      await new Promise((resolve) => receiver.server.close(resolve));
+    });
+
+    test("should post signed payloads for subscribed events", async () => {
+      receiver = await startReceiver();
+      webhooks = new WebhookDispatcher(library);
+      const { secret } = webhooks.subscribe({
+        url: receiver.url,
+        events: [EventType.BOOK_ADDED],
+      });
+
+      library.addBook("123", "Test Book", "Author", 2020);
+      library.borrowBook("123", "user1");
+      await webhooks.idle();
+
+      expect(receiver.requests).toHaveLength(1);
+      const [{ headers, body }] = receiver.requests;
+      expect(headers["x-library-event"]).toBe("book.add");
+      expect(headers["x-library-signature"]).toBe(
+        `sha256=${signPayload(secret, headers["x-library-timestamp"], body)}`
+      );
+      expect(JSON.parse(body)).toMatchObject({
+        type: "book.add",
+        entityId: "123",
+        after: { title: "Test Book" },
+      });
+      expect(webhooks.getDeliveries()[0]).toMatchObject({
+        status: "delivered",
+        attempts: 1,
+        responseStatus: 200,
+      });
+    });
+
+    test("should retry failed deliveries with backoff", async () => {
+      receiver = await startReceiver([500, 503]);
+      webhooks = new WebhookDispatcher(library, { baseDelayMs: 5 });
+      webhooks.subscribe({ url: receiver.url, events: ["*"] });
+
+      library.addBook("123", "Test Book", "Author", 2020);
+      await webhooks.idle();
+
+      expect(receiver.requests).toHaveLength(3);
+      expect(webhooks.getDeliveries()[0]).toMatchObject({
+        status: "delivered",
+        attempts: 3,
+      });
+    });
+
+    test("should dead-letter deliveries that run out of attempts", async () => {
+      receiver = await startReceiver([500, 500, 500]);
+      const storage = new MemoryStorage();
+      library = new Library({ storage });
+      webhooks = new WebhookDispatcher(library, {
+        maxAttempts: 2,
+        baseDelayMs: 5,
+      });
+      webhooks.subscribe({ url: receiver.url, events: ["*"] });
+
+      library.addBook("123", "Test Book", "Author", 2020);
+      await webhooks.idle();
+
+      const [dead] = webhooks.getDeadLetters();
+      expect(dead).toMatchObject({
+        status: "failed",
+        attempts: 2,
+        error: "Receiver responded with 500",
+      });
+      expect(receiver.requests).toHaveLength(2);
+
+      // Dead letters and subscriptions survive a restart.
+      webhooks.close();
+      const reopened = new WebhookDispatcher(new Library({ storage }));
+      expect(reopened.getDeadLetters()).toHaveLength(1);
+      expect(reopened.getSubscriptions()).toEqual([
+        expect.not.objectContaining({ secret: expect.anything() }),
+      ]);
+      reopened.close();
+
+      // The receiver fails once more, then recovers.
+      webhooks.redeliver(dead.id);
+      await webhooks.idle();
+      expect(webhooks.getDeadLetters()).toHaveLength(0);
+      expect(webhooks.getDeliveries()[0]).toMatchObject({
+        status: "delivered",
+        attempts: 2,
+      });
+      expect(receiver.requests).toHaveLength(4);
+    });
+
+    test("should validate subscriptions", async () => {
+      receiver = await startReceiver();
+      webhooks = new WebhookDispatcher(library);
+
+      expect(() =>
+        webhooks.subscribe({ url: "ftp://example.com", events: ["*"] })
+      ).toThrow(expect.objectContaining({ code: "INVALID_WEBHOOK" }));
+      expect(() =>
+        webhooks.subscribe({ url: receiver.url, events: ["book.sold"] })
+      ).toThrow(expect.objectContaining({ code: "INVALID_WEBHOOK" }));
+      expect(() => webhooks.unsubscribe("missing")).toThrow(
+        expect.objectContaining({ code: "WEBHOOK_NOT_FOUND" })
+      );
+    });
+  });
+});